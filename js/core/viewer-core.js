@@ -17,6 +17,7 @@ var annotations = {
 };
 var wsi_height;
 var wsi_width;
+var currentSlideFile = null;
 
 
 // Tool mapping (from backup)
@@ -26,9 +27,15 @@ const toolMapping = {
     'freehand': 'manual',
     'rect': 'manual',
     'polygon': 'manual',
-    'quadrilateral': 'manual',
+    'polyline': 'manual',
     'point': 'manual',
     'scribble': 'manual',
+    'brush': 'manual',
+    'eraser': 'manual',
+    'ruler': 'manual',
+    'ellipse': 'manual',
+    'rotated-rect': 'manual',
+    'vertex-edit': 'manual',
     'sam-drag': 'sam',
     'sam-point': 'sam',
     'sam-rect': 'sam'
@@ -44,11 +51,6 @@ const tabDefaults = {
 let currentTabIndex = 0;
 const maxVisibleTabs = 2;
 
-// Quadrilateral tracking (from backup)
-let quadrilateralMode = false;
-let polygonVertexCount = 0;
-let polygonObserver = null;
-
 /**
  * Fallback addAnnotation function if module not loaded
  */
@@ -94,6 +96,14 @@ function ensureSelectAnnotation(annotation) {
  * Set active annotation tool (exactly from backup)
  */
 function setActiveTool(tool) {
+    // Picking a tool ends any line being drawn and painting
+    if (isPathDrawingActive()) {
+        cancelPathDrawing(false);
+    }
+    stopBrushTool();
+    stopShapeTool();
+    stopVertexEditing();
+    
     currentTool = tool;
     console.log('🛠️ Setting active tool:', tool);
     console.log('🛠️ Tool starts with sam-?', tool.startsWith('sam-'));
@@ -101,12 +111,6 @@ function setActiveTool(tool) {
     console.log('🛠️ SAM live mode?', samLiveMode);
     
     
-    // Reset quadrilateral mode for all tools except quadrilateral
-    if (tool !== 'quadrilateral') {
-        quadrilateralMode = false;
-        stopQuadrilateralTracking();
-    }
-    
     const activePane = document.querySelector('.tab-pane.active');
     if (activePane) {
         activePane.querySelectorAll('.tool-button').forEach(btn => {
@@ -146,11 +150,25 @@ function setActiveTool(tool) {
                     anno.setDrawingTool('rect');
                     console.log('Set rect tool');
                     break;
-                case 'quadrilateral':
-                    // Use polygon tool for quadrilateral
-                    anno.setDrawingTool('polygon');
-                    quadrilateralMode = true;
-                    console.log('Set quadrilateral (polygon) tool');
+                case 'ellipse':
+                case 'rotated-rect':
+                    // Drawn and rotated by the shape tools module
+                    anno.setDrawingEnabled(false);
+                    startShapeTool(tool);
+                    console.log(`Set ${tool} tool`);
+                    break;
+                case 'vertex-edit':
+                    // Vertices are moved by the vertex editing module
+                    anno.setDrawingEnabled(false);
+                    startVertexEditing();
+                    console.log('Set vertex editing tool');
+                    break;
+                case 'polygon':
+                case 'polyline':
+                    // Vertices are placed by the path drawing module
+                    anno.setDrawingEnabled(false);
+                    startVertexDrawingTool(tool);
+                    console.log(`Set ${tool} tool`);
                     break;
                 case 'point':
                     anno.setDrawingTool('point');
@@ -164,6 +182,19 @@ function setActiveTool(tool) {
                     anno.setDrawingTool('freehand');
                     console.log('Set scribble (freehand) tool');
                     break;
+                case 'brush':
+                case 'eraser':
+                    // Painting is handled by the brush module
+                    anno.setDrawingEnabled(false);
+                    startBrushTool(tool === 'eraser');
+                    console.log(`Set ${tool} tool`);
+                    break;
+                case 'ruler':
+                    // Measured with the path drawing module
+                    anno.setDrawingEnabled(false);
+                    startRulerTool();
+                    console.log('Set ruler tool');
+                    break;
                 case 'sam-point':
                     anno.setDrawingTool('point');
                     console.log('Set SAM point tool');
@@ -259,12 +290,23 @@ async function loadTiffFile(file) {
             throw new Error('GeoTIFFTileSource is not available. Make sure geotiff-tilesource is loaded.');
         }
 
+        // Keep the annotations of the previous slide before switching
+        if (!await closeSlideAnnotations()) {
+            if (loadingDiv) {
+                loadingDiv.style.display = 'none';
+            }
+            return;
+        }
+        disconnectAnnotationServer();
+        clearAnnotationHistory();
+
         console.log('Getting tile sources...');
         const tiffTileSources = await OpenSeadragon.GeoTIFFTileSource.getAllTileSources(file, {
             logLatency: false,
         });
 
         console.log('Tile sources created:', tiffTileSources.length);
+        currentSlideFile = file;
 
         if (viewer) {
             console.log('Destroying existing viewer');
@@ -302,7 +344,6 @@ async function loadTiffFile(file) {
             // Wait a bit for the viewer to fully initialize
             setTimeout(() => {
                 setupAnnotations();
-                setupTracking();
                 setupDynamicImageInfoUpdates(); // Add dynamic viewport tracking
                 
                 // Make sure the viewer canvas is properly set up for annotations
@@ -328,6 +369,11 @@ async function loadTiffFile(file) {
                     console.log("image dimensions", wsi_width, "x", wsi_height);
                 }
 
+                detectSlideMicronsPerPixel();
+
+                restoreAnnotationsForSlide(currentSlideFile, wsi_width, wsi_height)
+                    .then(connectAnnotationServer);
+
             }, 500); // Wait 500ms for viewer to stabilize
         });
 
@@ -368,7 +414,9 @@ function setupAnnotations() {
         anno = OpenSeadragon.Annotorious(viewer, {
             allowEmpty: true,
             readOnly: false,
-            gigapixelMode: true
+            gigapixelMode: true,
+            formatter: formatAnnotationStyle,
+            widgets: getAnnotationWidgets()
         });
         
         // Add selector pack for additional tools
@@ -394,6 +442,8 @@ function setupAnnotations() {
         // Handle annotation creation events (from backup)
         anno.on('createAnnotation', function(annotation) {
             console.log('📝 Annotation created:', annotation.id);
+            stampAnnotationCreation(annotation, currentTool);
+            stampAnnotationPolarity(annotation);
             
             // Prevent Annotorious from automatically switching tools after creation
             if (currentTool.startsWith('sam-')) {
@@ -443,11 +493,19 @@ function setupAnnotations() {
                         
                         // Add SAM annotation to list immediately
                         console.log('📝 Adding SAM annotation to list immediately');
-                        ensureAddAnnotation(samAnnotation);
+                        stampAnnotationCreation(samAnnotation, currentTool);
+                        stampAnnotationPolarity(samAnnotation);
+                        if (!subtractNegativeAnnotation(samAnnotation)) {
+                            ensureAddAnnotation(samAnnotation);
+                            recordAnnotationHistory('SAM segmentation', [annotation], [samAnnotation]);
+                        }
                         
                     } else {
                         console.error('❌ SAM processing failed - keeping original');
-                        ensureAddAnnotation(annotation);
+                        if (!subtractNegativeAnnotation(annotation)) {
+                            ensureAddAnnotation(annotation);
+                            recordAnnotationHistory('Create annotation', [], [annotation]);
+                        }
                     }
                     
                     // Re-enable continuous interaction for SAM tools
@@ -457,7 +515,10 @@ function setupAnnotations() {
                     
                 }).catch(error => {
                     console.error('❌ SAM processing error:', error);
-                    ensureAddAnnotation(annotation);
+                    if (!subtractNegativeAnnotation(annotation)) {
+                        ensureAddAnnotation(annotation);
+                        recordAnnotationHistory('Create annotation', [], [annotation]);
+                    }
                     
                     // Re-enable tool for retry
                     setTimeout(() => {
@@ -467,7 +528,10 @@ function setupAnnotations() {
             } else {
                 // Regular manual annotation - add immediately to list
                 console.log('📝 Manual annotation - adding to list');
-                ensureAddAnnotation(annotation);
+                if (!subtractNegativeAnnotation(annotation)) {
+                    ensureAddAnnotation(annotation);
+                    recordAnnotationHistory('Create annotation', [], [annotation]);
+                }
             }
         });
 
@@ -486,10 +550,29 @@ function setupAnnotations() {
             ensureSelectAnnotation(annotation);
         });
 
+        // Live measurements while a shape is moved or resized
+        anno.on('changeSelectionTarget', function(target) {
+            renderAnnotationMeasurements({ target: target });
+        });
+
         // Handle update events - this is when popup form fields are filled  
-        anno.on('updateAnnotation', function(annotation) {
-            // This is when we actually add the annotation to the list with proper comment/tags
-            ensureAddAnnotation(annotation);
+        anno.on('updateAnnotation', function(annotation, previous) {
+            if (findAnnotationInStore(annotation.id)) {
+                // Edited geometry or popup fields of a listed annotation
+                const stored = previous || findAnnotationInStore(annotation.id);
+                keepShapeRotation(annotation, stored);
+                recordAnnotationRevision(stored, annotation);
+                recordAnnotationHistory('Edit annotation', [stored], [annotation]);
+                updateAnnotationInList(annotation);
+            } else {
+                // This is when we actually add the annotation to the list with proper comment/tags
+                stampAnnotationCreation(annotation, currentTool);
+                stampAnnotationPolarity(annotation);
+                if (!subtractNegativeAnnotation(annotation)) {
+                    ensureAddAnnotation(annotation);
+                    recordAnnotationHistory('Create annotation', [], [annotation]);
+                }
+            }
             
             // Maintain SAM tool state after update
             if (currentTool.startsWith('sam-')) {
@@ -523,14 +606,6 @@ function setupAnnotations() {
     }
 }
 
-/**
- * Setup tracking (from backup)
- */
-function setupTracking() {
-    // Start quadrilateral tracking if needed
-    startQuadrilateralTracking();
-}
-
 /**
  * Setup dynamic image info updates (from backup)
  */
@@ -549,108 +624,6 @@ function setupDynamicImageInfoUpdates() {
     });
 }
 
-// Quadrilateral tracking functions (from backup)
-function startQuadrilateralTracking() {
-    if (!quadrilateralMode) return;
-    
-    polygonObserver = new MutationObserver(function(mutations) {
-        if (!quadrilateralMode || currentTool !== 'quadrilateral') {
-            return;
-        }
-        
-        // Check for polygon handles (vertices)
-        const handles = document.querySelectorAll('.a9s-selection .a9s-handle');
-        const vertexCount = handles.length;
-        
-        console.log('Polygon vertices detected:', vertexCount);
-        
-        // Auto-complete when we have exactly 4 vertices
-        if (vertexCount === 4) {
-            console.log('4-sided polygon detected! Auto-completing...');
-            setTimeout(() => {
-                completeQuadrilateral();
-            }, 200); // Small delay to ensure polygon is stable
-        }
-    });
-
-    // Start observing the annotation layer for changes
-    const annotationLayer = document.querySelector('svg.a9s-annotationlayer');
-    if (annotationLayer) {
-        polygonObserver.observe(annotationLayer, {
-            childList: true,
-            subtree: true,
-            attributes: true
-        });
-    }
-}
-
-function stopQuadrilateralTracking() {
-    if (polygonObserver) {
-        polygonObserver.disconnect();
-        polygonObserver = null;
-    }
-}
-
-function completeQuadrilateral() {
-    try {
-        console.log('Completing quadrilateral...');
-        
-        // Method 1: Try clicking the first handle to close the polygon
-        const firstHandle = document.querySelector('.a9s-selection .a9s-handle:first-child');
-        if (firstHandle) {
-            console.log('Clicking first handle to close quadrilateral');
-            firstHandle.dispatchEvent(new MouseEvent('click', {
-                bubbles: true,
-                cancelable: true,
-                view: window
-            }));
-            
-            // Enable mouse navigation after completion
-            setTimeout(() => {
-                viewer.setMouseNavEnabled(true);
-                quadrilateralMode = false;
-                polygonVertexCount = 0;
-            }, 200);
-            return;
-        }
-        
-        // Method 2: Send Enter key to complete
-        const enterEvent = new KeyboardEvent('keydown', {
-            key: 'Enter',
-            code: 'Enter',
-            keyCode: 13,
-            bubbles: true,
-            cancelable: true
-        });
-        document.dispatchEvent(enterEvent);
-        
-        // Method 3: Double-click the current selection to complete
-        setTimeout(() => {
-            const selectionElement = document.querySelector('.a9s-selection');
-            if (selectionElement) {
-                selectionElement.dispatchEvent(new MouseEvent('dblclick', {
-                    bubbles: true,
-                    cancelable: true,
-                    view: window
-                }));
-            }
-            
-            // Enable mouse navigation
-            viewer.setMouseNavEnabled(true);
-            quadrilateralMode = false;
-            polygonVertexCount = 0;
-        }, 100);
-
-    } catch (error) {
-        console.error('Error completing quadrilateral:', error);
-        // Fallback: enable mouse navigation
-        viewer.setMouseNavEnabled(true);
-        quadrilateralMode = false;
-        polygonVertexCount = 0;
-    }
-}
-
-
 /**
  * Maintain SAM tool state for continuous interaction
  */
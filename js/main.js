@@ -52,7 +52,18 @@ function initializeFileInput() {
             e.stopPropagation();
             dropZone.classList.remove('drag-over');
             
-            const files = e.dataTransfer.files;
+            const files = Array.from(e.dataTransfer.files);
+            
+            // Annotation files are imported onto the current slide
+            const annotationFiles = files.filter(isAnnotationFile);
+            if (annotationFiles.length > 0) {
+                annotationFiles.forEach(file => {
+                    console.log('Annotation file dropped:', file.name);
+                    importAnnotationFile(file);
+                });
+                return;
+            }
+            
             if (files.length > 0) {
                 const file = files[0];
                 console.log('File dropped:', file.name, 'Type:', file.type);
@@ -69,7 +80,7 @@ function initializeFileInput() {
                         fileInfo.textContent = `Selected: ${file.name}`;
                     }
                 } else {
-                    alert('Please select a valid TIFF or SVS file.\nSupported formats: .tiff, .tif, .svs');
+                    alert('Please select a valid TIFF or SVS file, or an annotation file.\nSupported formats: .tiff, .tif, .svs, .json, .geojson, .xml');
                 }
             }
         });
@@ -176,28 +187,6 @@ function applyTabDefaults(tabName) {
     }
 }
 
-function updateAnnotationVisibility() {
-    if (!anno) return;
-    
-    // Clear all visible annotations
-    anno.clearAnnotations();
-    
-    // Show annotations for current tab
-    const category = currentTab;
-    if (annotations[category]) {
-        annotations[category].forEach(annotation => {
-            // Check if annotation is marked as hidden
-            const listItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-            const visibilityIcon = listItem?.querySelector('.annotation-visibility');
-            const isHidden = visibilityIcon?.classList.contains('hidden');
-            
-            if (!isHidden) {
-                anno.addAnnotation(annotation);
-            }
-        });
-    }
-}
-
 function selectFirstToolInTab(tabName) {
     // This function is now replaced by applyTabDefaults
     applyTabDefaults(tabName);
@@ -229,6 +218,32 @@ function setupKeyboardShortcuts() {
             return;
         }
         
+        // Undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y)
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                undoAnnotationChange();
+                event.preventDefault();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                redoAnnotationChange();
+                event.preventDefault();
+            } else if (key === 'c' && !window.getSelection().toString() && copySelectedAnnotations()) {
+                // Selected page text keeps the normal copy
+                event.preventDefault();
+            } else if (key === 'v' && pasteAnnotations()) {
+                event.preventDefault();
+            } else if (key === 'd' && duplicateSelectedAnnotations()) {
+                event.preventDefault();
+            }
+            return;
+        }
+        
+        // Number keys assign the label schema classes
+        if (/^[0-9]$/.test(event.key) && assignLabelClassByHotkey(event.key)) {
+            event.preventDefault();
+            return;
+        }
+        
         switch(event.key) {
             case 'c':
                 setActiveTool('circle');
@@ -247,15 +262,56 @@ function setupKeyboardShortcuts() {
                 event.preventDefault();
                 break;
             case 'q':
-                setActiveTool('quadrilateral');
+                setActiveTool('polygon');
+                event.preventDefault();
+                break;
+            case 'l':
+                setActiveTool('polyline');
+                event.preventDefault();
+                break;
+            case 'b':
+                setActiveTool('brush');
+                event.preventDefault();
+                break;
+            case 'e':
+                setActiveTool('eraser');
+                event.preventDefault();
+                break;
+            case 'm':
+                setActiveTool('ruler');
+                event.preventDefault();
+                break;
+            case 'o':
+                setActiveTool('ellipse');
                 event.preventDefault();
                 break;
+            case 't':
+                setActiveTool('rotated-rect');
+                event.preventDefault();
+                break;
+            case 'v':
+                setActiveTool('vertex-edit');
+                event.preventDefault();
+                break;
+            case ']':
+                // Next and previous annotation of the folder
+                if (navigateAnnotationInFolder(1)) {
+                    event.preventDefault();
+                }
+                break;
+            case '[':
+                if (navigateAnnotationInFolder(-1)) {
+                    event.preventDefault();
+                }
+                break;
             case 'Delete':
             case 'Backspace':
                 // Delete selected annotation
                 const selected = anno?.getSelected();
-                if (selected && selected.length > 0) {
-                    anno.removeAnnotation(selected[0]);
+                const selectedAnnotation = Array.isArray(selected) ? selected[0] : selected;
+                if (selectedAnnotation) {
+                    anno.cancelSelected();
+                    deleteAnnotation(findAnnotationInStore(selectedAnnotation.id) || selectedAnnotation, null);
                     event.preventDefault();
                 }
                 break;
@@ -288,6 +344,21 @@ document.addEventListener('DOMContentLoaded', function() {
     setupKeyboardShortcuts();
     setupContextMenu();
     initializeSAMIntegration();
+    initializeAnnotationIO();
+    initializeAnnotationAudit();
+    initializeAnnotationMeasurements();
+    initializeAnnotationStyles();
+    initializeLabelSchema();
+    initializeAnnotationOperations();
+    initializePolygonSimplify();
+    initializeBrushTool();
+    initializeRulerTool();
+    initializeAnnotationClipboard();
+    initializeAnnotationProperties();
+    initializeAnnotationFilter();
+    initializeAnnotationStorage();
+    initializeMaskExport();
+    initializePatchExport();
     
     console.log('✅ Application initialized');
 });
\ No newline at end of file
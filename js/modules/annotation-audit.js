@@ -0,0 +1,279 @@
+/**
+ * Annotation Audit Module
+ *
+ * Records who created and changed each annotation:
+ * - creator, created and modified (W3C Web Annotation fields)
+ * - provenance.tool: drawing tool used at creation (or 'import')
+ * - provenance.revision: number of changes made so far
+ * - provenance.revisions: prior geometry and body of the latest changes,
+ *   with what changed, by whom and when
+ * - Any listed revision can be restored from the history panel
+ *
+ * The audit is shown in the annotation history panel and written into
+ * all annotation exports.
+ */
+
+// Maximum number of prior versions kept per annotation
+const AUDIT_MAX_REVISIONS = 50;
+
+const ANNOTATOR_NAME_STORAGE_KEY = 'wsi-annotator-name';
+
+// Annotation shown in the history panel
+let auditPanelAnnotationId = null;
+
+/**
+ * Get the name recorded as creator and editor
+ */
+function getAnnotatorName() {
+    try {
+        return localStorage.getItem(ANNOTATOR_NAME_STORAGE_KEY) || 'Anonymous';
+    } catch (error) {
+        return 'Anonymous';
+    }
+}
+
+/**
+ * Remember the annotator name for later sessions
+ */
+function setAnnotatorName(name) {
+    try {
+        localStorage.setItem(ANNOTATOR_NAME_STORAGE_KEY, name.trim());
+    } catch (error) {
+        console.warn('Could not store annotator name:', error);
+    }
+}
+
+/**
+ * Record creator, creation time and tool of a new annotation
+ */
+function stampAnnotationCreation(annotation, tool) {
+    if (!annotation || annotation.created) return;
+
+    const now = new Date().toISOString();
+    annotation.creator = { type: 'Person', name: getAnnotatorName() };
+    annotation.created = now;
+    annotation.modified = now;
+    annotation.provenance = {
+        tool: tool || null,
+        modifiedBy: annotation.creator.name,
+        revision: 0,
+        revisions: []
+    };
+}
+
+/**
+ * Describe what changed between two versions of an annotation
+ */
+function describeAnnotationChange(previous, annotation) {
+    const changes = [];
+    if (JSON.stringify(previous.target) !== JSON.stringify(annotation.target)) {
+        changes.push('geometry');
+    }
+    if (getAnnotationName(previous) !== getAnnotationName(annotation)) {
+        changes.push('name');
+    }
+    if (JSON.stringify(getAnnotationTags(previous)) !== JSON.stringify(getAnnotationTags(annotation))) {
+        changes.push('tags');
+    }
+    return changes.length > 0 ? changes.join(', ') : 'body';
+}
+
+/**
+ * Record the previous version of an edited annotation
+ */
+function recordAnnotationRevision(previous, annotation) {
+    if (!previous || !annotation) return;
+
+    // Edits made by the viewer may drop fields it does not know
+    ['creator', 'created', 'polarity'].forEach(key => {
+        if (annotation[key] === undefined && previous[key] !== undefined) {
+            annotation[key] = previous[key];
+        }
+    });
+
+    const provenance = previous.provenance || { tool: null, revisions: [] };
+    const previousRevisions = provenance.revisions || [];
+    const revision = (provenance.revision || previousRevisions.length) + 1;
+
+    const revisions = previousRevisions.concat([{
+        revision: revision,
+        changed: describeAnnotationChange(previous, annotation),
+        modified: new Date().toISOString(),
+        modifiedBy: getAnnotatorName(),
+        target: JSON.parse(JSON.stringify(previous.target || null)),
+        body: JSON.parse(JSON.stringify(previous.body || []))
+    }]);
+
+    annotation.modified = revisions[revisions.length - 1].modified;
+    annotation.provenance = {
+        tool: provenance.tool,
+        modifiedBy: getAnnotatorName(),
+        revision: revision,
+        revisions: revisions.slice(-AUDIT_MAX_REVISIONS)
+    };
+}
+
+/**
+ * Restore the geometry and body an annotation had before a revision
+ *
+ * Recorded as a new revision and as an undoable change.
+ */
+function restoreAnnotationRevision(annotationId, revisionNumber) {
+    const annotation = findAnnotationInStore(annotationId);
+    const entry = annotation && (annotation.provenance?.revisions || []).find(item => item.revision === revisionNumber);
+    if (!entry || !entry.target) return null;
+
+    const restored = JSON.parse(JSON.stringify(annotation));
+    restored.target = JSON.parse(JSON.stringify(entry.target));
+    restored.body = JSON.parse(JSON.stringify(entry.body || []));
+    recordAnnotationRevision(annotation, restored);
+    recordAnnotationHistory('Restore revision', [annotation], [restored]);
+
+    try {
+        anno?.removeAnnotation(annotation.id);
+        if (isAnnotationShownOnSlide(restored)) {
+            anno?.addAnnotation(restored);
+        }
+    } catch (error) {
+        console.warn('Could not restore annotation in viewer:', error);
+    }
+
+    updateAnnotationInList(restored);
+    console.log(`↩️ Restored revision ${revisionNumber} of annotation:`, annotationId);
+    return restored;
+}
+
+/**
+ * Get the audit fields of an annotation for exports
+ */
+function getAnnotationAuditProperties(annotation) {
+    const provenance = annotation.provenance || {};
+    return {
+        creator: annotation.creator ? annotation.creator.name : null,
+        created: annotation.created || null,
+        modified: annotation.modified || null,
+        modifiedBy: provenance.modifiedBy || null,
+        tool: provenance.tool || null,
+        revision: provenance.revision || (provenance.revisions || []).length,
+        revisions: provenance.revisions || []
+    };
+}
+
+/**
+ * Restore audit fields read from an imported file
+ */
+function applyAnnotationAuditProperties(annotation, audit) {
+    if (!audit || !audit.created) return;
+
+    annotation.creator = { type: 'Person', name: audit.creator || 'Anonymous' };
+    annotation.created = audit.created;
+    annotation.modified = audit.modified || audit.created;
+    annotation.provenance = {
+        tool: audit.tool || null,
+        modifiedBy: audit.modifiedBy || audit.creator || null,
+        revision: Number(audit.revision) || (Array.isArray(audit.revisions) ? audit.revisions.length : 0),
+        revisions: Array.isArray(audit.revisions) ? audit.revisions : []
+    };
+}
+
+/**
+ * Format an ISO timestamp for display
+ */
+function formatAuditTime(timestamp) {
+    if (!timestamp) return 'unknown';
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+}
+
+/**
+ * One-line audit summary of an annotation
+ */
+function formatAnnotationAuditSummary(annotation) {
+    const audit = getAnnotationAuditProperties(annotation);
+    if (!audit.created) return 'No history recorded';
+
+    const revisionCount = audit.revision;
+    return `Created by ${audit.creator} on ${formatAuditTime(audit.created)}` +
+        (audit.tool ? ` (${audit.tool})` : '') +
+        (revisionCount > 0 ? `, ${revisionCount} revision${revisionCount === 1 ? '' : 's'}` : '');
+}
+
+/**
+ * Show the audit trail of an annotation in the history panel
+ */
+function renderAnnotationAudit(annotation) {
+    const panel = document.getElementById('annotation-audit');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    auditPanelAnnotationId = annotation ? annotation.id : null;
+
+    if (!annotation) {
+        panel.textContent = 'Select an annotation to see its history';
+        return;
+    }
+
+    const audit = getAnnotationAuditProperties(annotation);
+    const addLine = (label, value) => {
+        const line = document.createElement('div');
+        line.className = 'audit-line';
+        const labelElement = document.createElement('span');
+        labelElement.className = 'audit-label';
+        labelElement.textContent = label;
+        line.appendChild(labelElement);
+        line.appendChild(document.createTextNode(value));
+        panel.appendChild(line);
+    };
+
+    addLine('Name: ', getAnnotationName(annotation));
+    addLine('Creator: ', audit.creator || 'unknown');
+    addLine('Created: ', formatAuditTime(audit.created));
+    addLine('Tool: ', audit.tool || 'unknown');
+    addLine('Modified: ', `${formatAuditTime(audit.modified)}${audit.modifiedBy ? ' by ' + audit.modifiedBy : ''}`);
+
+    if (audit.revisions.length > 0) {
+        const list = document.createElement('ol');
+        list.className = 'audit-revisions';
+        list.reversed = true;
+        list.start = audit.revisions[audit.revisions.length - 1].revision || audit.revisions.length;
+        audit.revisions.slice().reverse().forEach(revision => {
+            const item = document.createElement('li');
+            item.textContent = `${revision.changed} - ${revision.modifiedBy}, ${formatAuditTime(revision.modified)} `;
+
+            // Entries read from count-only formats (XML) have no prior version
+            if (revision.target) {
+                const restoreButton = document.createElement('button');
+                restoreButton.className = 'audit-restore-btn';
+                restoreButton.textContent = 'Restore';
+                restoreButton.title = 'Restore the geometry and body from before this change';
+                restoreButton.addEventListener('click', () => restoreAnnotationRevision(annotation.id, revision.revision));
+                item.appendChild(restoreButton);
+            }
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+    }
+}
+
+/**
+ * Refresh the history panel if it shows the given annotation
+ */
+function refreshAnnotationAudit(annotation) {
+    if (annotation && annotation.id === auditPanelAnnotationId) {
+        renderAnnotationAudit(annotation);
+    }
+}
+
+/**
+ * Initialize the annotator name field and the history panel
+ */
+function initializeAnnotationAudit() {
+    const nameInput = document.getElementById('annotator-name');
+    if (nameInput) {
+        nameInput.value = getAnnotatorName() === 'Anonymous' ? '' : getAnnotatorName();
+        nameInput.addEventListener('change', () => setAnnotatorName(nameInput.value));
+    }
+
+    renderAnnotationAudit(null);
+    console.log('Annotation audit initialized');
+}
@@ -0,0 +1,158 @@
+/**
+ * Annotation Clipboard Module
+ *
+ * Copy, paste and duplicate of the selected annotations:
+ * - Ctrl+C copies, Ctrl+V pastes centered on the mouse position
+ *   (or at the original position when the mouse is not over the slide)
+ * - Ctrl+D duplicates with a small offset
+ * - The clipboard is kept when another slide is opened, so a template
+ *   ROI can be reused across a series of slides
+ * - Copies get new IDs and keep their name, tags and polarity
+ */
+
+// Offset of duplicated annotations (screen pixels)
+const DUPLICATE_OFFSET = 20;
+
+// Copied annotations ({ annotations, bounds })
+let annotationClipboard = null;
+
+// Last mouse position in client coordinates
+let lastPointerPosition = null;
+
+/**
+ * Get the annotations selected in the list
+ */
+function getSelectedAnnotationsForClipboard() {
+    return getSelectedAnnotationIds().map(findAnnotationInStore).filter(Boolean);
+}
+
+/**
+ * Bounding box of several annotations in WSI pixels
+ */
+function getAnnotationsBounds(annotationList) {
+    const boxes = annotationList.map(annotation => getGeometryBounds(parseAnnotationGeometry(annotation))).filter(Boolean);
+    if (boxes.length === 0) return null;
+
+    const minX = Math.min(...boxes.map(box => box.x));
+    const minY = Math.min(...boxes.map(box => box.y));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const maxY = Math.max(...boxes.map(box => box.y + box.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Get the WSI position under the mouse (null when not over the slide)
+ */
+function getPointerImagePoint() {
+    if (!viewer || !lastPointerPosition) return null;
+
+    const rect = viewer.element.getBoundingClientRect();
+    const x = lastPointerPosition.x - rect.left;
+    const y = lastPointerPosition.y - rect.top;
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) return null;
+
+    return getViewerImagePoint(new OpenSeadragon.Point(x, y));
+}
+
+/**
+ * Create a moved copy of an annotation with a new ID
+ */
+function createAnnotationCopy(source, dx, dy, tool) {
+    const copy = JSON.parse(JSON.stringify(source));
+    copy.id = generateAnnotationId();
+    copy.target = {
+        selector: createSelectorFromGeometry(translateGeometry(parseAnnotationGeometry(source), dx, dy))
+    };
+
+    // The copy is a new annotation with its own audit
+    delete copy.creator;
+    delete copy.created;
+    delete copy.modified;
+    delete copy.provenance;
+    stampAnnotationCreation(copy, tool);
+    return copy;
+}
+
+/**
+ * Add copies of annotations to the viewer and the list as one undo step
+ */
+function addAnnotationCopies(label, sources, dx, dy, tool) {
+    const copies = sources.map(source => createAnnotationCopy(source, dx, dy, tool));
+
+    copies.forEach(copy => {
+        try {
+            if (isAnnotationShownOnSlide(copy)) {
+                anno?.addAnnotation(copy);
+            }
+        } catch (error) {
+            console.warn('Could not add annotation to viewer:', error);
+        }
+        ensureAddAnnotation(copy);
+    });
+
+    recordAnnotationHistory(label, [], copies);
+    setAnnotationSelection(copies.map(copy => copy.id));
+    return copies;
+}
+
+/**
+ * Copy the selected annotations (returns false when nothing is selected)
+ */
+function copySelectedAnnotations() {
+    const selected = getSelectedAnnotationsForClipboard();
+    if (selected.length === 0) return false;
+
+    const copied = JSON.parse(JSON.stringify(selected));
+    annotationClipboard = { annotations: copied, bounds: getAnnotationsBounds(copied) };
+    console.log(`📋 Copied ${copied.length} annotation(s)`);
+    return true;
+}
+
+/**
+ * Paste the copied annotations (returns false when the clipboard is empty)
+ */
+function pasteAnnotations() {
+    if (!annotationClipboard || !viewer) return false;
+
+    const { annotations: copied, bounds } = annotationClipboard;
+    const pointer = getPointerImagePoint();
+    let dx = 0;
+    let dy = 0;
+
+    if (pointer && bounds) {
+        dx = pointer[0] - (bounds.x + bounds.width / 2);
+        dy = pointer[1] - (bounds.y + bounds.height / 2);
+    }
+
+    const pasted = addAnnotationCopies(copied.length === 1 ? 'Paste annotation' : 'Paste annotations', copied, dx, dy, 'paste');
+    console.log(`📋 Pasted ${pasted.length} annotation(s)`);
+    return true;
+}
+
+/**
+ * Duplicate the selected annotations (returns false when nothing is selected)
+ */
+function duplicateSelectedAnnotations() {
+    const selected = getSelectedAnnotationsForClipboard();
+    if (selected.length === 0 || !viewer) return false;
+
+    const offset = DUPLICATE_OFFSET / viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+    const duplicates = addAnnotationCopies(
+        selected.length === 1 ? 'Duplicate annotation' : 'Duplicate annotations',
+        selected, offset, offset, 'duplicate'
+    );
+    console.log(`📋 Duplicated ${duplicates.length} annotation(s)`);
+    return true;
+}
+
+/**
+ * Track the mouse so pastes land under it
+ */
+function initializeAnnotationClipboard() {
+    // On the document, so it keeps working when the viewer is recreated
+    document.addEventListener('mousemove', event => {
+        lastPointerPosition = { x: event.clientX, y: event.clientY };
+    });
+
+    console.log('Annotation clipboard initialized');
+}
@@ -0,0 +1,300 @@
+/**
+ * Annotation Filter Module
+ *
+ * Filter bar above the annotation folders:
+ * - Name text, tag, source (SAM or manual), shape type, area range
+ *   (µm² when calibrated, px² otherwise) and creation date
+ * - Annotations that do not match are left out of the list and of the
+ *   slide; the filter is not saved with the annotations
+ * - The bar moves along to the active tab
+ */
+
+// Shape filter values and the geometry types they match
+const FILTER_SHAPE_TYPES = {
+    polygon: ['polygon', 'multipolygon'],
+    rectangle: ['rectangle'],
+    ellipse: ['ellipse'],
+    circle: ['circle'],
+    point: ['point'],
+    polyline: ['polyline']
+};
+
+// Delay before typing in the filter redraws the slide (ms)
+const FILTER_INPUT_DELAY = 250;
+
+let annotationFilter = {
+    text: '',
+    tag: '',
+    source: '',
+    shape: '',
+    minArea: null,
+    maxArea: null,
+    from: '',
+    to: ''
+};
+
+let annotationFilterTimer = null;
+let annotationFilterStatusTimer = null;
+
+/**
+ * Check whether any filter is set
+ */
+function isAnnotationFilterActive() {
+    const filter = annotationFilter;
+    return Boolean(filter.text || filter.tag || filter.source || filter.shape || filter.from || filter.to) ||
+        filter.minArea !== null || filter.maxArea !== null;
+}
+
+/**
+ * Area of an annotation in the unit of the area filter
+ */
+function getAnnotationFilterArea(annotation) {
+    const measurements = getAnnotationMeasurements(annotation);
+    return measurements.micronsPerPixel ? measurements.areaMicrons : measurements.areaPixels;
+}
+
+/**
+ * Check whether an annotation passes the filter
+ */
+function matchesAnnotationFilter(annotation) {
+    const filter = annotationFilter;
+
+    if (filter.text) {
+        const name = getAnnotationName(annotation).toLowerCase();
+        if (!name.includes(filter.text.toLowerCase())) return false;
+    }
+
+    if (filter.tag && !getAnnotationTags(annotation).includes(filter.tag)) return false;
+
+    if (filter.source) {
+        const isSAM = isAnnotationFromSAMEnhanced(annotation);
+        if ((filter.source === 'sam') !== isSAM) return false;
+    }
+
+    if (filter.shape) {
+        const geometry = parseAnnotationGeometry(annotation);
+        if (!geometry || !FILTER_SHAPE_TYPES[filter.shape].includes(geometry.type)) return false;
+    }
+
+    if (filter.minArea !== null || filter.maxArea !== null) {
+        const area = getAnnotationFilterArea(annotation);
+        if (filter.minArea !== null && area < filter.minArea) return false;
+        if (filter.maxArea !== null && area > filter.maxArea) return false;
+    }
+
+    if (filter.from || filter.to) {
+        // Annotations from before the audit trail have no date
+        const created = annotation.created ? new Date(annotation.created) : null;
+        if (!created || isNaN(created)) return false;
+        if (filter.from && created < new Date(`${filter.from}T00:00:00`)) return false;
+        if (filter.to && created > new Date(`${filter.to}T23:59:59.999`)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether an annotation belongs on the slide (not hidden, passes the filter)
+ */
+function isAnnotationShownOnSlide(annotation) {
+    return !isAnnotationHidden(annotation) && (!isAnnotationFilterActive() || matchesAnnotationFilter(annotation));
+}
+
+/**
+ * Hide folders in which no annotation matches
+ */
+function updateFilteredFolder(folder) {
+    const items = folder.querySelectorAll('.annotation-item');
+    const shown = Array.from(items).some(item => !item.classList.contains('filtered-out'));
+    folder.classList.toggle('filtered-out', isAnnotationFilterActive() && !shown);
+}
+
+/**
+ * Show or hide the list items of an added or edited annotation
+ *
+ * Also takes it off the slide when it no longer matches, as the viewer
+ * and several tools add annotations to the slide themselves.
+ */
+function refreshAnnotationFilterItem(annotation) {
+    const matches = !isAnnotationFilterActive() || matchesAnnotationFilter(annotation);
+
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(item => {
+        item.classList.toggle('filtered-out', !matches);
+        const folder = item.closest('.annotations-folder');
+        if (folder) {
+            updateFilteredFolder(folder);
+        }
+    });
+
+    if (!matches && anno) {
+        try {
+            anno.removeAnnotation(annotation.id);
+        } catch (error) {
+            console.warn('Could not hide filtered annotation:', error);
+        }
+    }
+    refreshAnnotationFilterStatus();
+}
+
+/**
+ * Show how many annotations match the filter
+ */
+function updateAnnotationFilterStatus(matchCount, total) {
+    const status = document.getElementById('filter-status');
+    if (status) {
+        status.textContent = isAnnotationFilterActive() ? `${matchCount} of ${total} annotations match` : '';
+    }
+}
+
+/**
+ * Recount the matching annotations after annotations were added or removed
+ *
+ * Deferred, so imports and folder deletions are counted once.
+ */
+function refreshAnnotationFilterStatus() {
+    if (!isAnnotationFilterActive()) return;
+
+    clearTimeout(annotationFilterStatusTimer);
+    annotationFilterStatusTimer = setTimeout(() => {
+        const all = getUniqueAnnotations(Object.keys(annotations));
+        updateAnnotationFilterStatus(all.filter(matchesAnnotationFilter).length, all.length);
+    }, 0);
+}
+
+/**
+ * Apply the filter to the whole annotation list
+ */
+function applyAnnotationFilterToList() {
+    const all = getUniqueAnnotations(Object.keys(annotations));
+    const active = isAnnotationFilterActive();
+    const matching = new Set(all.filter(annotation => !active || matchesAnnotationFilter(annotation)).map(annotation => annotation.id));
+
+    document.querySelectorAll('.annotation-item').forEach(item => {
+        item.classList.toggle('filtered-out', !matching.has(item.dataset.annotationId));
+    });
+    document.querySelectorAll('.annotations-folder').forEach(updateFilteredFolder);
+
+    clearTimeout(annotationFilterStatusTimer);
+    updateAnnotationFilterStatus(matching.size, all.length);
+}
+
+/**
+ * Read the filter bar into the filter
+ */
+function readAnnotationFilter() {
+    const value = id => document.getElementById(id)?.value || '';
+    const number = id => {
+        const parsed = parseFloat(value(id));
+        return isFinite(parsed) ? parsed : null;
+    };
+
+    annotationFilter = {
+        text: value('filter-text').trim(),
+        tag: value('filter-tag'),
+        source: value('filter-source'),
+        shape: value('filter-shape'),
+        minArea: number('filter-area-min'),
+        maxArea: number('filter-area-max'),
+        from: value('filter-date-from'),
+        to: value('filter-date-to')
+    };
+}
+
+/**
+ * Apply the filter bar to the list and the slide
+ */
+function applyAnnotationFilter() {
+    clearTimeout(annotationFilterTimer);
+    readAnnotationFilter();
+    applyAnnotationFilterToList();
+    updateFilterAreaUnit();
+    updateAnnotationVisibility();
+    console.log('🔍 Annotation filter:', isAnnotationFilterActive() ? annotationFilter : 'off');
+}
+
+/**
+ * Offer the current tag folders in the tag filter
+ */
+function updateFilterTagOptions() {
+    const select = document.getElementById('filter-tag');
+    if (!select) return;
+
+    const current = select.value;
+    const tags = getNonEmptyTags();
+    if (current && !tags.includes(current)) {
+        tags.push(current);
+    }
+
+    select.innerHTML = '<option value="">All tags</option>';
+    tags.sort().forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = tag;
+        select.appendChild(option);
+    });
+    select.value = current;
+}
+
+/**
+ * Show the unit of the area filter
+ */
+function updateFilterAreaUnit() {
+    const unit = document.getElementById('filter-area-unit');
+    if (unit) {
+        unit.textContent = getMicronsPerPixel() ? 'µm²' : 'px²';
+    }
+}
+
+/**
+ * Reset the filter bar
+ */
+function clearAnnotationFilter() {
+    document.querySelectorAll('#annotation-filter input, #annotation-filter select').forEach(control => {
+        control.value = '';
+    });
+    applyAnnotationFilter();
+}
+
+/**
+ * Move the filter bar above the folders of a tab
+ */
+function moveAnnotationFilterToTab(tabName) {
+    const bar = document.getElementById('annotation-filter');
+    const section = document.getElementById(`${tabName}-annotations-section`);
+    if (bar && section) {
+        section.parentNode.insertBefore(bar, section);
+    }
+}
+
+/**
+ * Initialize the filter bar
+ */
+function initializeAnnotationFilter() {
+    const bar = document.getElementById('annotation-filter');
+    if (!bar) return;
+
+    bar.querySelectorAll('input, select').forEach(control => {
+        control.addEventListener('change', applyAnnotationFilter);
+    });
+
+    // Typing filters the list at once and the slide after a pause
+    const textInput = document.getElementById('filter-text');
+    textInput?.addEventListener('input', () => {
+        readAnnotationFilter();
+        applyAnnotationFilterToList();
+        clearTimeout(annotationFilterTimer);
+        annotationFilterTimer = setTimeout(updateAnnotationVisibility, FILTER_INPUT_DELAY);
+    });
+
+    document.getElementById('filter-tag')?.addEventListener('focus', updateFilterTagOptions);
+    bar.querySelector('.filter-more')?.addEventListener('toggle', updateFilterAreaUnit);
+    document.getElementById('filter-clear')?.addEventListener('click', clearAnnotationFilter);
+
+    document.querySelectorAll('.tab-item').forEach(item => {
+        item.addEventListener('click', () => moveAnnotationFilterToTab(item.dataset.tab));
+    });
+
+    updateFilterTagOptions();
+    updateFilterAreaUnit();
+    console.log('Annotation filter initialized');
+}
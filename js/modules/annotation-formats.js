@@ -0,0 +1,1216 @@
+/**
+ * Annotation Formats Module
+ *
+ * Converters between Annotorious annotations and external formats:
+ * - HistomicsTK / Girder annotation documents (Digital Slide Archive)
+ * - GeoJSON FeatureCollections in the flavor read and written by QuPath
+ * - Aperio ImageScope XML (Annotations/Regions/Vertices)
+ * - ASAP XML (ASAP_Annotations/AnnotationGroups/Coordinates)
+ */
+
+/**
+ * Generate a new annotation ID for imported annotations
+ */
+function generateImportedAnnotationId() {
+    return 'imported-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Create an Annotorious annotation from a shape description
+ */
+function createAnnotationFromGeometry(geometry, options = {}) {
+    const selector = createSelectorFromGeometry(geometry);
+    if (!selector) return null;
+
+    const body = [];
+    if (options.name) {
+        body.push({ type: 'TextualBody', purpose: 'commenting', value: options.name });
+    }
+    (options.tags || []).forEach(tag => {
+        if (tag) {
+            body.push({ type: 'TextualBody', purpose: 'tagging', value: tag });
+        }
+    });
+
+    const annotation = {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        type: 'Annotation',
+        id: options.id || generateImportedAnnotationId(),
+        body: body,
+        target: {
+            selector: selector
+        }
+    };
+
+    if (options.polarity === 'negative') {
+        annotation.polarity = 'negative';
+    }
+
+    if (options.audit) {
+        applyAnnotationAuditProperties(annotation, options.audit);
+    }
+
+    return annotation;
+}
+
+/**
+ * Convert a parsed shape into a HistomicsTK element (without style fields)
+ */
+function convertGeometryToHistomicsElement(geometry) {
+    if (!geometry) return null;
+
+    const toPoint3D = coord => [coord[0], coord[1], 0];
+
+    switch (geometry.type) {
+        case 'point':
+            return {
+                type: 'point',
+                center: [geometry.x, geometry.y, 0]
+            };
+        case 'rectangle':
+            return {
+                type: 'rectangle',
+                center: [geometry.x + geometry.width / 2, geometry.y + geometry.height / 2, 0],
+                width: geometry.width,
+                height: geometry.height,
+                rotation: geometry.rotation || 0,
+                normal: [0, 0, 1]
+            };
+        case 'circle':
+            return {
+                type: 'circle',
+                center: [geometry.cx, geometry.cy, 0],
+                radius: geometry.r
+            };
+        case 'ellipse':
+            return {
+                type: 'ellipse',
+                center: [geometry.cx, geometry.cy, 0],
+                width: geometry.rx * 2,
+                height: geometry.ry * 2,
+                rotation: geometry.rotation || 0,
+                normal: [0, 0, 1]
+            };
+        case 'polygon': {
+            const element = {
+                type: 'polyline',
+                closed: true,
+                points: geometry.rings[0].map(toPoint3D)
+            };
+            if (geometry.rings.length > 1) {
+                element.holes = geometry.rings.slice(1).map(ring => ring.map(toPoint3D));
+            }
+            return element;
+        }
+        case 'polyline':
+            return {
+                type: 'polyline',
+                closed: false,
+                points: geometry.points.map(toPoint3D)
+            };
+        default:
+            console.warn('⚠️ Unsupported geometry type for HistomicsTK:', geometry.type);
+            return null;
+    }
+}
+
+/**
+ * Convert a parsed shape into HistomicsTK elements
+ *
+ * HistomicsTK has no multipolygon element, so each polygon of a
+ * multipolygon becomes its own closed polyline.
+ */
+function convertGeometryToHistomicsElements(geometry) {
+    if (geometry && geometry.type === 'multipolygon') {
+        return geometry.polygons.map(rings => convertGeometryToHistomicsElement({ type: 'polygon', rings: rings }));
+    }
+
+    const element = convertGeometryToHistomicsElement(geometry);
+    return element ? [element] : [];
+}
+
+/**
+ * Convert an Annotorious annotation into HistomicsTK elements
+ */
+function convertAnnotationToHistomicsElements(annotation, tag) {
+    const elements = convertGeometryToHistomicsElements(parseAnnotationGeometry(annotation));
+    if (elements.length === 0) return [];
+
+    const name = getAnnotationName(annotation);
+    const tags = getAnnotationTags(annotation);
+    const style = getAnnotationStyle(annotation);
+
+    return elements.map(element => {
+        element.lineColor = formatRgbColor(style.color);
+        element.lineWidth = style.strokeWidth;
+        if (element.type !== 'point') {
+            element.fillColor = formatRgbColor(style.color, style.fillOpacity);
+        }
+        element.label = { value: name };
+        element.group = tag || tags[0];
+        element.user = {
+            annotoriousId: annotation.id,
+            tags: tags,
+            polarity: getAnnotationPolarity(annotation),
+            audit: getAnnotationAuditProperties(annotation),
+            measurements: getAnnotationMeasurements(annotation)
+        };
+        return element;
+    });
+}
+
+/**
+ * Create a HistomicsTK annotation document from a list of annotations
+ */
+function createHistomicsDocument(name, annotationList, description) {
+    const elements = [];
+    annotationList.forEach(annotation => {
+        elements.push(...convertAnnotationToHistomicsElements(annotation, name));
+    });
+
+    return {
+        _modelType: 'annotation',
+        _version: Date.now(),
+        annotation: {
+            name: name,
+            description: description || `${name} annotations`,
+            elements: elements
+        }
+    };
+}
+
+/**
+ * Convert a HistomicsTK element into a shape description
+ */
+function convertHistomicsElementToGeometry(element) {
+    if (!element || !element.type) return null;
+
+    const center = element.center || [0, 0, 0];
+
+    switch (element.type) {
+        case 'point':
+            return { type: 'point', x: center[0], y: center[1] };
+        case 'rectangle':
+            return {
+                type: 'rectangle',
+                x: center[0] - element.width / 2,
+                y: center[1] - element.height / 2,
+                width: element.width,
+                height: element.height,
+                rotation: element.rotation || 0
+            };
+        case 'circle':
+            return { type: 'circle', cx: center[0], cy: center[1], r: element.radius };
+        case 'ellipse':
+            return {
+                type: 'ellipse',
+                cx: center[0],
+                cy: center[1],
+                rx: element.width / 2,
+                ry: element.height / 2,
+                rotation: element.rotation || 0
+            };
+        case 'polyline': {
+            const toPoint2D = point => [point[0], point[1]];
+            const points = (element.points || []).map(toPoint2D);
+            if (points.length === 0) return null;
+
+            if (element.closed) {
+                const holes = (element.holes || []).map(hole => hole.map(toPoint2D));
+                return { type: 'polygon', rings: [points, ...holes] };
+            }
+            return { type: 'polyline', points: points };
+        }
+        default:
+            console.warn('⚠️ Unsupported HistomicsTK element type:', element.type);
+            return null;
+    }
+}
+
+/**
+ * Check whether parsed JSON looks like HistomicsTK annotation data
+ */
+function isHistomicsData(data) {
+    const documents = Array.isArray(data) ? data : [data];
+    return documents.some(doc => doc && (
+        (doc.annotation && Array.isArray(doc.annotation.elements)) ||
+        Array.isArray(doc.elements)
+    ));
+}
+
+/**
+ * Read the class style of a HistomicsTK element
+ */
+function readHistomicsElementStyle(element) {
+    const line = parseStyleColor(element.lineColor);
+    if (!line) return null;
+
+    const fill = parseStyleColor(element.fillColor);
+    return {
+        color: line.color,
+        fillOpacity: fill ? fill.opacity : 0,
+        strokeWidth: element.lineWidth
+    };
+}
+
+/**
+ * Convert HistomicsTK annotation documents into Annotorious annotations
+ *
+ * Accepts a single document or a list, both in the Girder model form
+ * ({ annotation: { name, elements } }) and the bare form ({ name, elements }).
+ */
+function convertHistomicsDataToAnnotations(data) {
+    const documents = Array.isArray(data) ? data : [data];
+    const entries = [];
+    const result = [];
+
+    documents.forEach(doc => {
+        const annotationDoc = doc && doc.annotation ? doc.annotation : doc;
+        if (!annotationDoc || !Array.isArray(annotationDoc.elements)) {
+            console.warn('⚠️ Skipping invalid HistomicsTK document:', doc);
+            return;
+        }
+
+        // Polygons exported from one multipolygon share their annotoriousId
+        const polygonsById = {};
+
+        annotationDoc.elements.forEach(element => {
+            const geometry = convertHistomicsElementToGeometry(element);
+            if (!geometry) return;
+
+            const userData = element.user || {};
+            const sourceId = userData.annotoriousId;
+
+            if (sourceId && geometry.type === 'polygon' && polygonsById[sourceId]) {
+                const existing = polygonsById[sourceId];
+                const polygons = existing.geometry.type === 'multipolygon'
+                    ? existing.geometry.polygons
+                    : [existing.geometry.rings];
+                polygons.push(geometry.rings);
+                existing.geometry = { type: 'multipolygon', polygons: polygons };
+                return;
+            }
+
+            const tags = Array.isArray(userData.tags) && userData.tags.length > 0
+                ? userData.tags
+                : [element.group || annotationDoc.name || 'Imported'];
+            adoptImportedClassStyle(tags[0], readHistomicsElementStyle(element));
+
+            const entry = {
+                geometry: geometry,
+                options: {
+                    id: sourceId,
+                    name: element.label && element.label.value,
+                    tags: tags,
+                    polarity: userData.polarity,
+                    audit: userData.audit
+                }
+            };
+
+            if (sourceId && geometry.type === 'polygon') {
+                polygonsById[sourceId] = entry;
+            }
+            entries.push(entry);
+        });
+    });
+
+    entries.forEach(entry => {
+        const annotation = createAnnotationFromGeometry(entry.geometry, entry.options);
+        if (annotation) {
+            result.push(annotation);
+        }
+    });
+
+    console.log(`📥 Converted ${result.length} HistomicsTK elements`);
+    return result;
+}
+
+/**
+ * Close a ring for GeoJSON (first coordinate repeated at the end)
+ */
+function closeRing(ring) {
+    if (ring.length === 0) return ring;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+        return ring.map(coord => [coord[0], coord[1]]);
+    }
+    return [...ring, first].map(coord => [coord[0], coord[1]]);
+}
+
+/**
+ * Convert a parsed shape into a GeoJSON geometry
+ *
+ * Circles, ellipses and rectangles have no GeoJSON counterpart and are
+ * written as polygons, the same way QuPath exports them.
+ */
+function convertGeometryToGeoJSON(geometry) {
+    if (!geometry) return null;
+
+    switch (geometry.type) {
+        case 'point':
+            return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+        case 'rectangle':
+            return { type: 'Polygon', coordinates: [closeRing(getRectangleRing(geometry))] };
+        case 'circle':
+            return { type: 'Polygon', coordinates: [closeRing(createEllipseRing(geometry.cx, geometry.cy, geometry.r, geometry.r))] };
+        case 'ellipse':
+            return {
+                type: 'Polygon',
+                coordinates: [closeRing(createEllipseRing(geometry.cx, geometry.cy, geometry.rx, geometry.ry, geometry.rotation))]
+            };
+        case 'polygon':
+            return { type: 'Polygon', coordinates: geometry.rings.map(closeRing) };
+        case 'multipolygon':
+            return { type: 'MultiPolygon', coordinates: geometry.polygons.map(rings => rings.map(closeRing)) };
+        case 'polyline':
+            return { type: 'LineString', coordinates: geometry.points.map(coord => [coord[0], coord[1]]) };
+        default:
+            console.warn('⚠️ Unsupported geometry type for GeoJSON:', geometry.type);
+            return null;
+    }
+}
+
+/**
+ * Convert a GeoJSON geometry into shape descriptions
+ *
+ * Multi-part points and lines become one shape per part.
+ */
+function convertGeoJSONToGeometries(geoJSONGeometry) {
+    if (!geoJSONGeometry || !geoJSONGeometry.coordinates) return [];
+
+    const toRing = ring => removeClosingPoint(ring.map(coord => [coord[0], coord[1]]));
+    const coordinates = geoJSONGeometry.coordinates;
+
+    switch (geoJSONGeometry.type) {
+        case 'Point':
+            return [{ type: 'point', x: coordinates[0], y: coordinates[1] }];
+        case 'MultiPoint':
+            return coordinates.map(coord => ({ type: 'point', x: coord[0], y: coord[1] }));
+        case 'LineString':
+            return [{ type: 'polyline', points: coordinates.map(coord => [coord[0], coord[1]]) }];
+        case 'MultiLineString':
+            return coordinates.map(line => ({ type: 'polyline', points: line.map(coord => [coord[0], coord[1]]) }));
+        case 'Polygon':
+            return [{ type: 'polygon', rings: coordinates.map(toRing) }];
+        case 'MultiPolygon':
+            if (coordinates.length === 1) {
+                return [{ type: 'polygon', rings: coordinates[0].map(toRing) }];
+            }
+            return [{ type: 'multipolygon', polygons: coordinates.map(rings => rings.map(toRing)) }];
+        case 'GeometryCollection':
+            return (geoJSONGeometry.geometries || []).flatMap(convertGeoJSONToGeometries);
+        default:
+            console.warn('⚠️ Unsupported GeoJSON geometry type:', geoJSONGeometry.type);
+            return [];
+    }
+}
+
+/**
+ * QuPath-style measurement list ({ 'Area µm^2': value, ... })
+ */
+function getGeoJSONMeasurements(annotation) {
+    const measurements = getAnnotationMeasurements(annotation);
+
+    if (measurements.type === 'polyline') {
+        const result = { 'Length px': formatSelectorNumber(measurements.lengthPixels) };
+        if (measurements.micronsPerPixel) {
+            result['Length µm'] = formatSelectorNumber(measurements.lengthMicrons);
+        }
+        return result;
+    }
+
+    const result = {
+        'Area px^2': formatSelectorNumber(measurements.areaPixels),
+        'Perimeter px': formatSelectorNumber(measurements.perimeterPixels)
+    };
+    if (measurements.micronsPerPixel) {
+        result['Area µm^2'] = formatSelectorNumber(measurements.areaMicrons);
+        result['Perimeter µm'] = formatSelectorNumber(measurements.perimeterMicrons);
+    }
+    return result;
+}
+
+/**
+ * Convert an Annotorious annotation into a QuPath-style GeoJSON feature
+ */
+function convertAnnotationToGeoJSONFeature(annotation) {
+    const geometry = convertGeometryToGeoJSON(parseAnnotationGeometry(annotation));
+    if (!geometry) return null;
+
+    const tags = getAnnotationTags(annotation);
+    const feature = {
+        type: 'Feature',
+        geometry: geometry,
+        properties: {
+            objectType: 'annotation',
+            name: getAnnotationName(annotation),
+            classification: {
+                name: tags[0],
+                color: getColorComponents(getAnnotationStyle(annotation).color)
+            },
+            tags: tags,
+            annotoriousId: annotation.id,
+            polarity: getAnnotationPolarity(annotation),
+            audit: getAnnotationAuditProperties(annotation),
+            measurements: getGeoJSONMeasurements(annotation)
+        }
+    };
+
+    // QuPath expects feature IDs to be UUIDs
+    const uuid = String(annotation.id).replace(/^#/, '');
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uuid)) {
+        feature.id = uuid;
+    }
+
+    return feature;
+}
+
+/**
+ * Create a GeoJSON FeatureCollection from a list of annotations
+ */
+function createGeoJSONFeatureCollection(annotationList) {
+    return {
+        type: 'FeatureCollection',
+        features: annotationList
+            .map(convertAnnotationToGeoJSONFeature)
+            .filter(feature => feature !== null)
+    };
+}
+
+/**
+ * Check whether parsed JSON looks like GeoJSON
+ */
+function isGeoJSONData(data) {
+    if (Array.isArray(data)) {
+        return data.some(item => item && item.type === 'Feature');
+    }
+    return !!data && (data.type === 'FeatureCollection' || data.type === 'Feature');
+}
+
+/**
+ * Get classification name of a QuPath feature
+ */
+function getGeoJSONClassificationName(properties) {
+    const classification = properties.classification;
+    if (!classification) return null;
+    if (typeof classification === 'string') return classification;
+    return classification.name || (Array.isArray(classification.names) ? classification.names.join(': ') : null);
+}
+
+/**
+ * Get the classification color of a QuPath feature
+ */
+function getGeoJSONClassificationColor(properties) {
+    const color = properties.classification && properties.classification.color;
+
+    // Older QuPath versions store a packed ARGB integer
+    if (typeof color === 'number') {
+        return formatHexColor([(color >> 16) & 255, (color >> 8) & 255, color & 255]);
+    }
+
+    const parsed = parseStyleColor(color);
+    return parsed ? parsed.color : null;
+}
+
+/**
+ * Convert GeoJSON (FeatureCollection, Feature or list of Features) into
+ * Annotorious annotations
+ */
+function convertGeoJSONToAnnotations(data) {
+    let features;
+    if (Array.isArray(data)) {
+        features = data;
+    } else if (data.type === 'FeatureCollection') {
+        features = data.features || [];
+    } else {
+        features = [data];
+    }
+
+    const result = [];
+
+    features.forEach(feature => {
+        if (!feature || feature.type !== 'Feature') return;
+
+        const properties = feature.properties || {};
+        const classificationName = getGeoJSONClassificationName(properties);
+        const tags = Array.isArray(properties.tags) && properties.tags.length > 0
+            ? properties.tags
+            : [classificationName || 'Unclassified'];
+        adoptImportedClassStyle(tags[0], { color: getGeoJSONClassificationColor(properties) });
+
+        const geometries = convertGeoJSONToGeometries(feature.geometry);
+        geometries.forEach((geometry, index) => {
+            let id = properties.annotoriousId;
+            if (!id && feature.id) {
+                id = `#${feature.id}`;
+            }
+
+            const annotation = createAnnotationFromGeometry(geometry, {
+                // Multi-part features are split, only the first part keeps the ID
+                id: index === 0 ? id : undefined,
+                name: properties.name,
+                tags: tags,
+                polarity: properties.polarity,
+                audit: properties.audit
+            });
+
+            if (annotation) {
+                result.push(annotation);
+            }
+        });
+    });
+
+    console.log(`📥 Converted ${result.length} GeoJSON features`);
+    return result;
+}
+
+/**
+ * Aperio ImageScope region types
+ */
+const IMAGESCOPE_REGION_TYPES = {
+    freehand: 0,
+    rectangle: 1,
+    ellipse: 2,
+    ruler: 4,
+    point: 5
+};
+
+/**
+ * ASAP group of exclusion regions (the '_2' convention of ASAP training
+ * pipelines); holes and negative annotations are written to it
+ */
+const ASAP_EXCLUSION_GROUP = '_2';
+
+/**
+ * Parse an XML string, throwing on malformed input
+ */
+function parseXMLDocument(text) {
+    const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid XML');
+    }
+    return xmlDoc;
+}
+
+/**
+ * Create an XML element with attributes
+ */
+function createXMLElement(xmlDoc, name, attributes = {}) {
+    const element = xmlDoc.createElement(name);
+    Object.keys(attributes).forEach(key => {
+        element.setAttribute(key, String(attributes[key]));
+    });
+    return element;
+}
+
+/**
+ * Serialize an XML document with declaration
+ */
+function serializeXMLDocument(xmlDoc) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(xmlDoc);
+}
+
+/**
+ * Audit fields written as XML attributes (revisions as a count)
+ */
+function getAnnotationAuditXMLAttributes(annotation) {
+    const audit = getAnnotationAuditProperties(annotation);
+    const attributes = {};
+    if (audit.creator) attributes.Creator = audit.creator;
+    if (audit.created) attributes.Created = audit.created;
+    if (audit.modified) attributes.Modified = audit.modified;
+    if (audit.modifiedBy) attributes.ModifiedBy = audit.modifiedBy;
+    if (audit.tool) attributes.Tool = audit.tool;
+    attributes.Revisions = audit.revision;
+    return attributes;
+}
+
+/**
+ * Read audit fields from XML attribute values (name -> value)
+ */
+function readAnnotationAuditXMLAttributes(values) {
+    if (!values.Created) return null;
+    return {
+        creator: values.Creator,
+        created: values.Created,
+        modified: values.Modified,
+        modifiedBy: values.ModifiedBy,
+        tool: values.Tool,
+        revision: values.Revisions
+    };
+}
+
+/**
+ * Length and area XML attributes of an exported shape (pixels and microns)
+ */
+function getGeometryXMLMeasurements(geometry) {
+    const measurements = calculateGeometryMeasurements(geometry);
+    const mpp = getMicronsPerPixel() || 0;
+    return {
+        Length: formatSelectorNumber(measurements.perimeter),
+        Area: formatSelectorNumber(measurements.area),
+        LengthMicrons: formatSelectorNumber(measurements.perimeter * mpp),
+        AreaMicrons: formatSelectorNumber(measurements.area * mpp * mpp)
+    };
+}
+
+/**
+ * Group annotations by the first of their tags contained in the given list
+ */
+function groupAnnotationsByTag(annotationList, tags) {
+    const groups = {};
+    annotationList.forEach(annotation => {
+        const annotationTags = getAnnotationTags(annotation);
+        const tag = annotationTags.find(t => tags.includes(t)) || annotationTags[0];
+        if (!groups[tag]) groups[tag] = [];
+        groups[tag].push(annotation);
+    });
+    return groups;
+}
+
+/**
+ * Convert a parsed shape into ImageScope regions
+ *
+ * Returns [{ type, vertices, negative }]. Polygon holes become negative
+ * regions (NegativeROA), which is how ImageScope represents exclusions.
+ */
+function convertGeometryToImageScopeRegions(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'point':
+            return [{ type: IMAGESCOPE_REGION_TYPES.point, vertices: [[geometry.x, geometry.y]] }];
+        case 'rectangle':
+            return [{ type: IMAGESCOPE_REGION_TYPES.rectangle, vertices: getRectangleRing(geometry) }];
+        case 'circle':
+            return [{
+                type: IMAGESCOPE_REGION_TYPES.ellipse,
+                vertices: [[geometry.cx - geometry.r, geometry.cy - geometry.r], [geometry.cx + geometry.r, geometry.cy + geometry.r]]
+            }];
+        case 'ellipse':
+            if (geometry.rotation) {
+                // ImageScope ellipses are axis-aligned
+                return [{
+                    type: IMAGESCOPE_REGION_TYPES.freehand,
+                    vertices: createEllipseRing(geometry.cx, geometry.cy, geometry.rx, geometry.ry, geometry.rotation)
+                }];
+            }
+            return [{
+                type: IMAGESCOPE_REGION_TYPES.ellipse,
+                vertices: [[geometry.cx - geometry.rx, geometry.cy - geometry.ry], [geometry.cx + geometry.rx, geometry.cy + geometry.ry]]
+            }];
+        case 'polygon':
+            return geometry.rings.map((ring, index) => ({
+                type: IMAGESCOPE_REGION_TYPES.freehand,
+                vertices: ring,
+                negative: index > 0
+            }));
+        case 'multipolygon':
+            return geometry.polygons.flatMap(rings => convertGeometryToImageScopeRegions({ type: 'polygon', rings: rings }));
+        case 'polyline':
+            return [{ type: IMAGESCOPE_REGION_TYPES.ruler, vertices: geometry.points }];
+        default:
+            console.warn('⚠️ Unsupported geometry type for ImageScope:', geometry.type);
+            return [];
+    }
+}
+
+/**
+ * Create Aperio ImageScope XML from annotations (one layer per tag folder)
+ */
+function createImageScopeXML(annotationList, tags) {
+    const xmlDoc = document.implementation.createDocument(null, 'Annotations', null);
+    const root = xmlDoc.documentElement;
+    root.setAttribute('MicronsPerPixel', getMicronsPerPixel() || 0);
+
+    const groups = groupAnnotationsByTag(annotationList, tags);
+    let regionId = 1;
+
+    Object.keys(groups).forEach((tag, layerIndex) => {
+        const layer = createXMLElement(xmlDoc, 'Annotation', {
+            Id: layerIndex + 1,
+            Name: tag,
+            ReadOnly: 0,
+            LineColorReadOnly: 0,
+            Incremental: 0,
+            Type: 4,
+            LineColor: getImageScopeColorValue(getClassStyle(tag).color),
+            Visible: 1,
+            Selected: 0,
+            MarkupImagePath: '',
+            MacroName: ''
+        });
+        layer.appendChild(xmlDoc.createElement('Attributes'));
+
+        const regions = xmlDoc.createElement('Regions');
+
+        groups[tag].forEach(annotation => {
+            const name = getAnnotationName(annotation);
+            // The ID ties holes to their region and keeps negative annotations apart
+            const auditAttributes = { AnnotationId: annotation.id, ...getAnnotationAuditXMLAttributes(annotation) };
+            const isNegative = getAnnotationPolarity(annotation) === 'negative';
+            convertGeometryToImageScopeRegions(parseAnnotationGeometry(annotation)).forEach(regionData => {
+                const region = createXMLElement(xmlDoc, 'Region', {
+                    Id: regionId,
+                    Type: regionData.type,
+                    Zoom: 1,
+                    Selected: 0,
+                    ImageLocation: '',
+                    ImageFocus: -1,
+                    Text: name,
+                    NegativeROA: regionData.negative || isNegative ? 1 : 0,
+                    InputRegionId: 0,
+                    Analyze: 1,
+                    DisplayId: regionId,
+                    ...getGeometryXMLMeasurements(convertImageScopeRegionToGeometry(regionData.type, regionData.vertices))
+                });
+                const attributes = xmlDoc.createElement('Attributes');
+                Object.keys(auditAttributes).forEach((key, index) => {
+                    attributes.appendChild(createXMLElement(xmlDoc, 'Attribute', { Name: key, Id: index, Value: auditAttributes[key] }));
+                });
+                region.appendChild(attributes);
+
+                const vertices = xmlDoc.createElement('Vertices');
+                regionData.vertices.forEach(vertex => {
+                    vertices.appendChild(createXMLElement(xmlDoc, 'Vertex', { X: vertex[0], Y: vertex[1], Z: 0 }));
+                });
+                region.appendChild(vertices);
+                regions.appendChild(region);
+                regionId++;
+            });
+        });
+
+        layer.appendChild(regions);
+        layer.appendChild(xmlDoc.createElement('Plots'));
+        root.appendChild(layer);
+    });
+
+    return serializeXMLDocument(xmlDoc);
+}
+
+/**
+ * Read X/Y attributes of child elements into [[x, y], ...]
+ */
+function readXMLCoordinates(parent, tagName) {
+    return Array.from(parent.getElementsByTagName(tagName)).map(node => [
+        parseFloat(node.getAttribute('X')),
+        parseFloat(node.getAttribute('Y'))
+    ]);
+}
+
+/**
+ * Convert a rectangle given by its four corners into a rectangle shape
+ */
+function convertCornersToRectangle(corners) {
+    const [p0, p1, p2] = corners;
+    const width = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]);
+    const height = Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+    const cx = (p0[0] + p2[0]) / 2;
+    const cy = (p0[1] + p2[1]) / 2;
+    const rotation = Math.atan2(p1[1] - p0[1], p1[0] - p0[0]);
+    const isAxisAligned = Math.abs(rotation) < 1e-6;
+
+    return {
+        type: 'rectangle',
+        x: cx - width / 2,
+        y: cy - height / 2,
+        width: width,
+        height: height,
+        rotation: isAxisAligned ? 0 : rotation
+    };
+}
+
+/**
+ * Convert an ImageScope region into a shape description
+ */
+function convertImageScopeRegionToGeometry(type, vertices) {
+    if (vertices.length === 0) return null;
+
+    switch (type) {
+        case IMAGESCOPE_REGION_TYPES.point:
+            return { type: 'point', x: vertices[0][0], y: vertices[0][1] };
+        case IMAGESCOPE_REGION_TYPES.rectangle:
+            if (vertices.length >= 4) {
+                return convertCornersToRectangle(vertices);
+            }
+            break;
+        case IMAGESCOPE_REGION_TYPES.ellipse:
+            if (vertices.length >= 2) {
+                const [a, b] = vertices;
+                return {
+                    type: 'ellipse',
+                    cx: (a[0] + b[0]) / 2,
+                    cy: (a[1] + b[1]) / 2,
+                    rx: Math.abs(b[0] - a[0]) / 2,
+                    ry: Math.abs(b[1] - a[1]) / 2,
+                    rotation: 0
+                };
+            }
+            break;
+        case IMAGESCOPE_REGION_TYPES.ruler:
+            return { type: 'polyline', points: vertices };
+        default:
+            break;
+    }
+
+    if (vertices.length === 1) {
+        return { type: 'point', x: vertices[0][0], y: vertices[0][1] };
+    }
+    return { type: 'polygon', rings: [removeClosingPoint(vertices)] };
+}
+
+/**
+ * Add a ring of a multi-region ImageScope or ASAP annotation to its shape
+ *
+ * A ring inside one of the polygons is a hole of it, any other ring
+ * starts a new polygon.
+ */
+function addImageScopeRingToGeometry(geometry, ring) {
+    const polygons = geometry.type === 'polygon' ? [geometry.rings] : geometry.polygons;
+    const parent = polygons.find(rings => isPointInRing(ring[0], rings[0]));
+
+    if (parent) {
+        parent.push(ring);
+    } else {
+        polygons.push([ring]);
+    }
+    return polygons.length === 1 ? { type: 'polygon', rings: polygons[0] } : { type: 'multipolygon', polygons: polygons };
+}
+
+/**
+ * Convert Aperio ImageScope XML into Annotorious annotations
+ *
+ * Layers become tag folders and region text becomes the annotation name.
+ * Regions of our own exports are put back together by their annotation ID.
+ * Other negative regions are attached as holes to the smallest region
+ * that contains them, or kept as negative annotations.
+ */
+function convertImageScopeXMLToAnnotations(xmlDoc) {
+    const result = [];
+
+    Array.from(xmlDoc.getElementsByTagName('Annotation')).forEach((layer, layerIndex) => {
+        const tag = layer.getAttribute('Name') || `Layer ${layerIndex + 1}`;
+        const entries = [];
+        const entriesById = new Map();
+
+        if (layer.hasAttribute('LineColor')) {
+            adoptImportedClassStyle(tag, { color: parseImageScopeColorValue(layer.getAttribute('LineColor')) });
+        }
+        const negativeEntries = [];
+
+        Array.from(layer.getElementsByTagName('Region')).forEach(region => {
+            const type = parseInt(region.getAttribute('Type'), 10) || 0;
+            const vertices = readXMLCoordinates(region, 'Vertex');
+            const geometry = convertImageScopeRegionToGeometry(type, vertices);
+            if (!geometry) return;
+
+            const attributeValues = {};
+            Array.from(region.getElementsByTagName('Attribute')).forEach(attribute => {
+                attributeValues[attribute.getAttribute('Name')] = attribute.getAttribute('Value');
+            });
+
+            const negative = region.getAttribute('NegativeROA') === '1';
+            const annotationId = attributeValues.AnnotationId;
+            const existing = annotationId ? entriesById.get(annotationId) : null;
+
+            if (existing) {
+                if (geometry.type === 'polygon' && (existing.geometry.type === 'polygon' || existing.geometry.type === 'multipolygon')) {
+                    existing.geometry = addImageScopeRingToGeometry(existing.geometry, geometry.rings[0]);
+                }
+                return;
+            }
+
+            const entry = {
+                geometry: geometry,
+                name: region.getAttribute('Text') || '',
+                polarity: negative ? 'negative' : undefined,
+                audit: readAnnotationAuditXMLAttributes(attributeValues)
+            };
+
+            if (annotationId) {
+                entriesById.set(annotationId, entry);
+                entries.push(entry);
+            } else if (negative && geometry.type === 'polygon') {
+                negativeEntries.push(entry);
+            } else {
+                entries.push(entry);
+            }
+        });
+
+        negativeEntries.forEach(negativeEntry => {
+            const ring = negativeEntry.geometry.rings[0];
+            const parent = entries
+                .filter(entry =>
+                    entry.geometry.type === 'polygon' && entry.polarity !== 'negative' &&
+                    isPointInRing(ring[0], entry.geometry.rings[0])
+                )
+                .sort((a, b) => calculatePolygonArea(a.geometry.rings[0]) - calculatePolygonArea(b.geometry.rings[0]))[0];
+
+            if (parent) {
+                parent.geometry.rings.push(ring);
+            } else {
+                // Exclusion region outside any positive region
+                entries.push(negativeEntry);
+            }
+        });
+
+        entries.forEach(entry => {
+            const annotation = createAnnotationFromGeometry(entry.geometry, {
+                name: entry.name,
+                tags: [tag],
+                polarity: entry.polarity,
+                audit: entry.audit
+            });
+            if (annotation) {
+                result.push(annotation);
+            }
+        });
+    });
+
+    console.log(`📥 Converted ${result.length} ImageScope regions`);
+    return result;
+}
+
+/**
+ * Convert a parsed shape into ASAP annotations ({ type, coordinates, exclusion })
+ *
+ * ASAP has no holes, so polygon holes become exclusion regions.
+ */
+function convertGeometryToASAPAnnotations(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'point':
+            return [{ type: 'Dot', coordinates: [[geometry.x, geometry.y]] }];
+        case 'rectangle':
+            return [{ type: 'Rectangle', coordinates: getRectangleRing(geometry) }];
+        case 'circle':
+            return [{ type: 'Polygon', coordinates: createEllipseRing(geometry.cx, geometry.cy, geometry.r, geometry.r) }];
+        case 'ellipse':
+            return [{ type: 'Polygon', coordinates: createEllipseRing(geometry.cx, geometry.cy, geometry.rx, geometry.ry, geometry.rotation) }];
+        case 'polygon':
+            return geometry.rings.map((ring, index) => ({
+                type: 'Polygon',
+                coordinates: ring,
+                exclusion: index > 0
+            }));
+        case 'multipolygon':
+            return geometry.polygons.flatMap(rings => convertGeometryToASAPAnnotations({ type: 'polygon', rings: rings }));
+        case 'polyline':
+            return [{ type: 'Measurement', coordinates: geometry.points }];
+        default:
+            console.warn('⚠️ Unsupported geometry type for ASAP:', geometry.type);
+            return [];
+    }
+}
+
+/**
+ * Create ASAP XML from annotations (one group per tag folder)
+ *
+ * Holes and negative annotations go to the exclusion group, with the
+ * annotation ID and tag to put them back together on import.
+ */
+function createASAPXML(annotationList, tags) {
+    const xmlDoc = document.implementation.createDocument(null, 'ASAP_Annotations', null);
+    const root = xmlDoc.documentElement;
+    const annotationsElement = xmlDoc.createElement('Annotations');
+    const groupsElement = xmlDoc.createElement('AnnotationGroups');
+
+    const groups = groupAnnotationsByTag(annotationList, tags);
+    let hasExclusions = false;
+
+    Object.keys(groups).forEach(tag => {
+        groups[tag].forEach(annotation => {
+            const name = getAnnotationName(annotation);
+            const isNegative = getAnnotationPolarity(annotation) === 'negative';
+            convertGeometryToASAPAnnotations(parseAnnotationGeometry(annotation)).forEach(asapData => {
+                const exclusion = asapData.exclusion || isNegative;
+                hasExclusions = hasExclusions || exclusion;
+                const element = createXMLElement(xmlDoc, 'Annotation', {
+                    Name: name,
+                    Type: asapData.type,
+                    PartOfGroup: exclusion ? ASAP_EXCLUSION_GROUP : tag,
+                    Color: getAnnotationStyle(annotation).color.toUpperCase(),
+                    AnnotationId: annotation.id,
+                    ...(exclusion ? { Class: tag } : {}),
+                    ...getGeometryXMLMeasurements(convertASAPAnnotationToGeometries(asapData.type, asapData.coordinates)[0]),
+                    ...getAnnotationAuditXMLAttributes(annotation)
+                });
+                const coordinates = xmlDoc.createElement('Coordinates');
+                asapData.coordinates.forEach((coord, order) => {
+                    coordinates.appendChild(createXMLElement(xmlDoc, 'Coordinate', { Order: order, X: coord[0], Y: coord[1] }));
+                });
+                element.appendChild(coordinates);
+                annotationsElement.appendChild(element);
+            });
+        });
+
+        const group = createXMLElement(xmlDoc, 'Group', {
+            Name: tag,
+            PartOfGroup: 'None',
+            Color: getClassStyle(tag).color.toUpperCase()
+        });
+        group.appendChild(xmlDoc.createElement('Attributes'));
+        groupsElement.appendChild(group);
+    });
+
+    if (hasExclusions) {
+        const group = createXMLElement(xmlDoc, 'Group', {
+            Name: ASAP_EXCLUSION_GROUP,
+            PartOfGroup: 'None',
+            Color: '#000000'
+        });
+        group.appendChild(xmlDoc.createElement('Attributes'));
+        groupsElement.appendChild(group);
+    }
+
+    root.appendChild(annotationsElement);
+    root.appendChild(groupsElement);
+    return serializeXMLDocument(xmlDoc);
+}
+
+/**
+ * Convert an ASAP annotation into shape descriptions
+ */
+function convertASAPAnnotationToGeometries(type, coordinates) {
+    if (coordinates.length === 0) return [];
+
+    switch (type) {
+        case 'Dot':
+            return [{ type: 'point', x: coordinates[0][0], y: coordinates[0][1] }];
+        case 'PointSet':
+            return coordinates.map(coord => ({ type: 'point', x: coord[0], y: coord[1] }));
+        case 'Rectangle':
+            if (coordinates.length >= 4) {
+                return [convertCornersToRectangle(coordinates)];
+            }
+            break;
+        case 'Measurement':
+            return [{ type: 'polyline', points: coordinates }];
+        default:
+            break;
+    }
+
+    // Polygon and Spline (spline control points are used as vertices)
+    return [{ type: 'polygon', rings: [removeClosingPoint(coordinates)] }];
+}
+
+/**
+ * Convert ASAP XML into Annotorious annotations
+ *
+ * Groups become tag folders and annotation names are kept. Parts of our
+ * own exports are put back together by their annotation ID. Other
+ * exclusion regions are attached as holes to the smallest polygon that
+ * contains them, or kept as negative annotations.
+ */
+function convertASAPXMLToAnnotations(xmlDoc) {
+    const result = [];
+    const entries = [];
+    const entriesById = new Map();
+    const exclusionEntries = [];
+
+    Array.from(xmlDoc.getElementsByTagName('Group')).forEach(group => {
+        if (group.getAttribute('Name') !== ASAP_EXCLUSION_GROUP) {
+            adoptImportedClassStyle(group.getAttribute('Name'), { color: group.getAttribute('Color') });
+        }
+    });
+
+    Array.from(xmlDoc.getElementsByTagName('Annotation')).forEach(element => {
+        const coordinates = Array.from(element.getElementsByTagName('Coordinate'))
+            .sort((a, b) => parseInt(a.getAttribute('Order'), 10) - parseInt(b.getAttribute('Order'), 10))
+            .map(node => [parseFloat(node.getAttribute('X')), parseFloat(node.getAttribute('Y'))]);
+
+        const group = element.getAttribute('PartOfGroup');
+        const exclusion = group === ASAP_EXCLUSION_GROUP;
+        const tag = exclusion ? element.getAttribute('Class') || group : group && group !== 'None' ? group : 'ASAP';
+        const name = element.getAttribute('Name') || '';
+        const annotationId = element.getAttribute('AnnotationId');
+        if (!exclusion) {
+            adoptImportedClassStyle(tag, { color: element.getAttribute('Color') });
+        }
+        const audit = readAnnotationAuditXMLAttributes({
+            Creator: element.getAttribute('Creator'),
+            Created: element.getAttribute('Created'),
+            Modified: element.getAttribute('Modified'),
+            ModifiedBy: element.getAttribute('ModifiedBy'),
+            Tool: element.getAttribute('Tool'),
+            Revisions: element.getAttribute('Revisions')
+        });
+
+        convertASAPAnnotationToGeometries(element.getAttribute('Type'), coordinates).forEach(geometry => {
+            const existing = annotationId ? entriesById.get(annotationId) : null;
+            if (existing && geometry.type === 'polygon' &&
+                (existing.geometry.type === 'polygon' || existing.geometry.type === 'multipolygon')) {
+                existing.geometry = addImageScopeRingToGeometry(existing.geometry, geometry.rings[0]);
+                return;
+            }
+
+            const entry = {
+                geometry: geometry,
+                name: name,
+                tag: tag,
+                polarity: exclusion ? 'negative' : undefined,
+                audit: audit
+            };
+
+            if (annotationId) {
+                entriesById.set(annotationId, entry);
+                entries.push(entry);
+            } else if (exclusion && geometry.type === 'polygon') {
+                exclusionEntries.push(entry);
+            } else {
+                entries.push(entry);
+            }
+        });
+    });
+
+    exclusionEntries.forEach(exclusionEntry => {
+        const ring = exclusionEntry.geometry.rings[0];
+        const parent = entries
+            .filter(entry =>
+                entry.geometry.type === 'polygon' && entry.polarity !== 'negative' &&
+                isPointInRing(ring[0], entry.geometry.rings[0])
+            )
+            .sort((a, b) => calculatePolygonArea(a.geometry.rings[0]) - calculatePolygonArea(b.geometry.rings[0]))[0];
+
+        if (parent) {
+            parent.geometry.rings.push(ring);
+        } else {
+            // Exclusion region outside any polygon
+            entries.push(exclusionEntry);
+        }
+    });
+
+    entries.forEach(entry => {
+        const annotation = createAnnotationFromGeometry(entry.geometry, {
+            name: entry.name,
+            tags: [entry.tag],
+            polarity: entry.polarity,
+            audit: entry.audit
+        });
+        if (annotation) {
+            result.push(annotation);
+        }
+    });
+
+    console.log(`📥 Converted ${result.length} ASAP annotations`);
+    return result;
+}
+
+/**
+ * Convert annotation XML (ImageScope or ASAP) into Annotorious annotations
+ */
+function convertAnnotationXMLToAnnotations(text) {
+    const xmlDoc = parseXMLDocument(text);
+    const rootName = xmlDoc.documentElement.tagName;
+
+    if (rootName === 'ASAP_Annotations') {
+        return convertASAPXMLToAnnotations(xmlDoc);
+    }
+    if (rootName === 'Annotations') {
+        return convertImageScopeXMLToAnnotations(xmlDoc);
+    }
+
+    throw new Error(`Unrecognized annotation XML root element: ${rootName}`);
+}
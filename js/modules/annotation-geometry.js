@@ -0,0 +1,548 @@
+/**
+ * Annotation Geometry Module
+ *
+ * Turns Annotorious selectors into plain shape descriptions:
+ * - FragmentSelector rectangles and points
+ * - SvgSelector circle, ellipse, rect, polygon, polyline and path shapes
+ * - Multi-ring paths (rings nested inside another ring are holes)
+ * - Rotated ellipses and rectangles (rotate() transform around the center)
+ *
+ * Annotorious stores selector coordinates in WSI pixel space when running
+ * on top of OpenSeadragon, so every shape returned here is in WSI pixels.
+ */
+
+/**
+ * Get the selector object of an annotation (or selection)
+ */
+function getAnnotationSelector(annotation) {
+    if (!annotation) return null;
+
+    let selector = null;
+    if (annotation.target && annotation.target.selector) {
+        selector = annotation.target.selector;
+    } else if (annotation.selector) {
+        selector = annotation.selector;
+    }
+
+    // Annotorious allows a list of selectors - the first one is the shape
+    if (Array.isArray(selector)) {
+        selector = selector[0] || null;
+    }
+
+    return selector;
+}
+
+/**
+ * Parse FragmentSelector value, e.g. "xywh=pixel:15876.39,22354.78,120,80"
+ */
+function parseFragmentSelectorValue(value) {
+    if (!value) return null;
+
+    const match = value.match(/xywh=(?:pixel:)?(-?[\d.eE+-]+),(-?[\d.eE+-]+),(-?[\d.eE+-]+),(-?[\d.eE+-]+)/);
+    if (!match) return null;
+
+    return {
+        x: parseFloat(match[1]),
+        y: parseFloat(match[2]),
+        width: parseFloat(match[3]),
+        height: parseFloat(match[4])
+    };
+}
+
+/**
+ * Parse SVG "points" attribute into [[x, y], ...]
+ */
+function parseSvgPointList(pointsStr) {
+    const coords = [];
+    if (!pointsStr) return coords;
+
+    const values = pointsStr.trim().split(/[\s,]+/).map(v => parseFloat(v));
+    for (let i = 0; i + 1 < values.length; i += 2) {
+        if (!isNaN(values[i]) && !isNaN(values[i + 1])) {
+            coords.push([values[i], values[i + 1]]);
+        }
+    }
+
+    return coords;
+}
+
+/**
+ * Parse SVG path data into a list of rings
+ *
+ * Every move command starts a new ring. Curve commands are reduced to their
+ * end points, which is enough for the freehand and polygon paths produced
+ * by Annotorious and by createSVGPathFromWSICoordinates.
+ */
+function parseSvgPathRings(pathData) {
+    const rings = [];
+    if (!pathData) return rings;
+
+    const tokens = pathData.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+    const paramCount = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+    let ring = null;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) {
+            command = tokens[i];
+            i++;
+
+            if (command.toUpperCase() === 'Z') {
+                x = startX;
+                y = startY;
+                ring = null;
+                continue;
+            }
+        }
+
+        if (!command) {
+            i++;
+            continue;
+        }
+
+        const upper = command.toUpperCase();
+        const count = paramCount[upper];
+        if (count === undefined || i + count > tokens.length) break;
+
+        const params = tokens.slice(i, i + count).map(v => parseFloat(v));
+        i += count;
+
+        const relative = command !== upper;
+
+        if (upper === 'H') {
+            x = relative ? x + params[0] : params[0];
+        } else if (upper === 'V') {
+            y = relative ? y + params[0] : params[0];
+        } else {
+            // End point is always the last coordinate pair
+            const endX = params[count - 2];
+            const endY = params[count - 1];
+            x = relative ? x + endX : endX;
+            y = relative ? y + endY : endY;
+        }
+
+        if (upper === 'M') {
+            ring = [];
+            rings.push(ring);
+            startX = x;
+            startY = y;
+            // Implicit line-to for further coordinate pairs after a move
+            command = relative ? 'l' : 'L';
+        } else if (!ring) {
+            ring = [[startX, startY]];
+            rings.push(ring);
+        }
+
+        ring.push([x, y]);
+    }
+
+    return rings.map(removeClosingPoint).filter(r => r.length > 0);
+}
+
+/**
+ * Drop the duplicated closing coordinate of a ring, if present
+ */
+function removeClosingPoint(ring) {
+    if (ring.length > 1) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) {
+            return ring.slice(0, -1);
+        }
+    }
+    return ring;
+}
+
+/**
+ * Check whether a point lies inside a ring (ray casting)
+ */
+function isPointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Group rings into polygons: rings at even nesting depth are outer
+ * boundaries, rings at odd depth are holes of the ring around them
+ */
+function groupRingsIntoPolygons(rings) {
+    const depths = rings.map((ring, i) =>
+        rings.filter((other, j) => j !== i && isPointInRing(ring[0], other)).length
+    );
+
+    const polygons = [];
+    const outerIndices = [];
+
+    rings.forEach((ring, i) => {
+        if (depths[i] % 2 === 0) {
+            outerIndices.push(i);
+            polygons.push([ring]);
+        }
+    });
+
+    rings.forEach((ring, i) => {
+        if (depths[i] % 2 === 1) {
+            const k = outerIndices.findIndex(o =>
+                depths[o] === depths[i] - 1 && isPointInRing(ring[0], rings[o])
+            );
+            if (k !== -1) {
+                polygons[k].push(ring);
+            } else {
+                polygons.push([ring]);
+            }
+        }
+    });
+
+    return polygons;
+}
+
+/**
+ * Create a polygon or multipolygon shape from a list of rings
+ */
+function createPolygonGeometry(rings) {
+    const polygons = groupRingsIntoPolygons(rings);
+    if (polygons.length === 1) {
+        return { type: 'polygon', rings: polygons[0] };
+    }
+    return { type: 'multipolygon', polygons: polygons };
+}
+
+/**
+ * Read the rotation (radians) of an SVG shape from its rotate() transform
+ */
+function parseSvgRotation(shape) {
+    const match = /rotate\(\s*([-+0-9.eE]+)/.exec(shape.getAttribute('transform') || '');
+    return match ? (parseFloat(match[1]) || 0) * Math.PI / 180 : 0;
+}
+
+/**
+ * SVG transform attribute rotating a shape around its center ('' when not rotated)
+ */
+function createSvgRotationAttribute(rotation, cx, cy) {
+    if (!rotation) return '';
+    const n = formatSelectorNumber;
+    return ` transform="rotate(${n(rotation * 180 / Math.PI)} ${n(cx)} ${n(cy)})"`;
+}
+
+/**
+ * Parse an SVG shape element into a shape description
+ */
+function parseSvgShapeElement(shape) {
+    const tag = shape.tagName.toLowerCase();
+    const num = name => parseFloat(shape.getAttribute(name)) || 0;
+
+    switch (tag) {
+        case 'circle':
+            return { type: 'circle', cx: num('cx'), cy: num('cy'), r: num('r') };
+        case 'ellipse':
+            return { type: 'ellipse', cx: num('cx'), cy: num('cy'), rx: num('rx'), ry: num('ry'), rotation: parseSvgRotation(shape) };
+        case 'rect':
+            return { type: 'rectangle', x: num('x'), y: num('y'), width: num('width'), height: num('height'), rotation: parseSvgRotation(shape) };
+        case 'polygon': {
+            const ring = removeClosingPoint(parseSvgPointList(shape.getAttribute('points')));
+            return ring.length > 0 ? { type: 'polygon', rings: [ring] } : null;
+        }
+        case 'polyline': {
+            const points = parseSvgPointList(shape.getAttribute('points'));
+            return points.length > 0 ? { type: 'polyline', points: points } : null;
+        }
+        case 'path': {
+            const pathData = shape.getAttribute('d') || '';
+            const rings = parseSvgPathRings(pathData);
+            if (rings.length === 0) return null;
+
+            // A path without a close command is an open line
+            if (!/[zZ]/.test(pathData) && rings.length === 1) {
+                return { type: 'polyline', points: rings[0] };
+            }
+            return createPolygonGeometry(rings);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse annotation geometry into a shape description in WSI pixels
+ *
+ * Returns one of:
+ * - { type: 'point', x, y }
+ * - { type: 'rectangle', x, y, width, height, rotation }
+ * - { type: 'circle', cx, cy, r }
+ * - { type: 'ellipse', cx, cy, rx, ry, rotation }
+ * - { type: 'polygon', rings: [outerRing, ...holes] }
+ * - { type: 'multipolygon', polygons: [[outerRing, ...holes], ...] }
+ * - { type: 'polyline', points }
+ */
+function parseAnnotationGeometry(annotation) {
+    const selector = getAnnotationSelector(annotation);
+    if (!selector || !selector.value) {
+        console.warn('⚠️ No selector value in annotation:', annotation?.id);
+        return null;
+    }
+
+    try {
+        if (selector.type === 'FragmentSelector') {
+            const rect = parseFragmentSelectorValue(selector.value);
+            if (!rect) return null;
+
+            if (rect.width === 0 && rect.height === 0) {
+                return { type: 'point', x: rect.x, y: rect.y };
+            }
+            return { type: 'rectangle', x: rect.x, y: rect.y, width: rect.width, height: rect.height, rotation: 0 };
+        }
+
+        if (selector.type === 'SvgSelector') {
+            const parser = new DOMParser();
+            const svgDoc = parser.parseFromString(selector.value, 'image/svg+xml');
+            const shape = svgDoc.querySelector('circle, ellipse, rect, polygon, polyline, path');
+            if (!shape) return null;
+
+            return parseSvgShapeElement(shape);
+        }
+
+        console.warn('⚠️ Unsupported selector type:', selector.type);
+    } catch (error) {
+        console.error('❌ Error parsing annotation geometry:', error);
+    }
+
+    return null;
+}
+
+/**
+ * Format a number for selector strings (avoid long float tails)
+ */
+function formatSelectorNumber(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Build SVG path data from a list of rings
+ */
+function createPathDataFromRings(rings, closed = true) {
+    return rings
+        .filter(ring => ring.length > 0)
+        .map(ring => {
+            const commands = ring.map((coord, i) =>
+                `${i === 0 ? 'M' : 'L'} ${formatSelectorNumber(coord[0])},${formatSelectorNumber(coord[1])}`
+            );
+            return commands.join(' ') + (closed ? ' Z' : '');
+        })
+        .join(' ');
+}
+
+/**
+ * Rotate a point around a center (rotation in radians)
+ */
+function rotatePoint(x, y, cx, cy, rotation) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const dx = x - cx;
+    const dy = y - cy;
+    return [cx + dx * cos - dy * sin, cy + dx * sin + dy * cos];
+}
+
+/**
+ * Corner ring of a (possibly rotated) rectangle shape
+ */
+function getRectangleRing(geometry) {
+    const { x, y, width, height } = geometry;
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const rotation = geometry.rotation || 0;
+
+    return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+        .map(([px, py]) => rotatePoint(px, py, cx, cy, rotation));
+}
+
+/**
+ * Move a shape by an offset in WSI pixels
+ */
+function translateGeometry(geometry, dx, dy) {
+    if (!geometry) return null;
+
+    const move = ([x, y]) => [x + dx, y + dy];
+
+    switch (geometry.type) {
+        case 'point':
+        case 'rectangle':
+            return { ...geometry, x: geometry.x + dx, y: geometry.y + dy };
+        case 'circle':
+        case 'ellipse':
+            return { ...geometry, cx: geometry.cx + dx, cy: geometry.cy + dy };
+        case 'polygon':
+            return { type: 'polygon', rings: geometry.rings.map(ring => ring.map(move)) };
+        case 'multipolygon':
+            return { type: 'multipolygon', polygons: geometry.polygons.map(rings => rings.map(ring => ring.map(move))) };
+        case 'polyline':
+            return { type: 'polyline', points: geometry.points.map(move) };
+        default:
+            return geometry;
+    }
+}
+
+/**
+ * Approximate a (possibly rotated) ellipse with a ring of vertices
+ */
+function createEllipseRing(cx, cy, rx, ry, rotation = 0, segments = 64) {
+    const ring = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (2 * Math.PI * i) / segments;
+        ring.push(rotatePoint(cx + rx * Math.cos(angle), cy + ry * Math.sin(angle), cx, cy, rotation));
+    }
+    return ring;
+}
+
+/**
+ * Convert an area shape into polygons ([[outerRing, ...holes], ...])
+ *
+ * Points and open polylines have no area and yield an empty list.
+ */
+function convertGeometryToPolygons(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'rectangle':
+            return [[getRectangleRing(geometry)]];
+        case 'circle':
+            return [[createEllipseRing(geometry.cx, geometry.cy, geometry.r, geometry.r)]];
+        case 'ellipse':
+            return [[createEllipseRing(geometry.cx, geometry.cy, geometry.rx, geometry.ry, geometry.rotation)]];
+        case 'polygon':
+            return [geometry.rings];
+        case 'multipolygon':
+            return geometry.polygons;
+        default:
+            return [];
+    }
+}
+
+/**
+ * Calculate polygon area using shoelace formula
+ */
+function calculatePolygonArea(coordinates) {
+    if (!coordinates || coordinates.length < 3) {
+        return 0;
+    }
+
+    let area = 0;
+    const n = coordinates.length;
+
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        area += coordinates[i][0] * coordinates[j][1];
+        area -= coordinates[j][0] * coordinates[i][1];
+    }
+
+    return Math.abs(area) / 2;
+}
+
+/**
+ * Get bounding box of a shape ({ x, y, width, height })
+ */
+function getGeometryBounds(geometry) {
+    if (!geometry) return null;
+
+    let coords;
+    if (geometry.type === 'point') {
+        coords = [[geometry.x, geometry.y]];
+    } else if (geometry.type === 'polyline') {
+        coords = geometry.points;
+    } else {
+        coords = [].concat(...convertGeometryToPolygons(geometry).map(rings => rings[0]));
+    }
+    if (!coords || coords.length === 0) return null;
+
+    const xs = coords.map(c => c[0]);
+    const ys = coords.map(c => c[1]);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+
+    return {
+        x: minX,
+        y: minY,
+        width: Math.max(...xs) - minX,
+        height: Math.max(...ys) - minY
+    };
+}
+
+/**
+ * Create an Annotorious selector from a shape description
+ */
+function createSelectorFromGeometry(geometry) {
+    if (!geometry) return null;
+
+    const n = formatSelectorNumber;
+
+    switch (geometry.type) {
+        case 'point':
+            return {
+                type: 'FragmentSelector',
+                conformsTo: 'http://www.w3.org/TR/media-frags/',
+                value: `xywh=pixel:${n(geometry.x)},${n(geometry.y)},0,0`
+            };
+        case 'rectangle':
+            if (geometry.rotation) {
+                const rotate = createSvgRotationAttribute(geometry.rotation, geometry.x + geometry.width / 2, geometry.y + geometry.height / 2);
+                return {
+                    type: 'SvgSelector',
+                    value: `<svg><rect x="${n(geometry.x)}" y="${n(geometry.y)}" width="${n(geometry.width)}" height="${n(geometry.height)}"${rotate}></rect></svg>`
+                };
+            }
+            return {
+                type: 'FragmentSelector',
+                conformsTo: 'http://www.w3.org/TR/media-frags/',
+                value: `xywh=pixel:${n(geometry.x)},${n(geometry.y)},${n(geometry.width)},${n(geometry.height)}`
+            };
+        case 'circle':
+            return {
+                type: 'SvgSelector',
+                value: `<svg><circle cx="${n(geometry.cx)}" cy="${n(geometry.cy)}" r="${n(geometry.r)}"></circle></svg>`
+            };
+        case 'ellipse':
+            return {
+                type: 'SvgSelector',
+                value: `<svg><ellipse cx="${n(geometry.cx)}" cy="${n(geometry.cy)}" rx="${n(geometry.rx)}" ry="${n(geometry.ry)}"${createSvgRotationAttribute(geometry.rotation, geometry.cx, geometry.cy)}></ellipse></svg>`
+            };
+        case 'polygon':
+            if (geometry.rings.length === 1) {
+                return {
+                    type: 'SvgSelector',
+                    value: `<svg><polygon points="${geometry.rings[0].map(c => `${n(c[0])},${n(c[1])}`).join(' ')}"></polygon></svg>`
+                };
+            }
+            return {
+                type: 'SvgSelector',
+                value: `<svg><path fill-rule="evenodd" d="${createPathDataFromRings(geometry.rings)}"></path></svg>`
+            };
+        case 'multipolygon':
+            return {
+                type: 'SvgSelector',
+                value: `<svg><path fill-rule="evenodd" d="${createPathDataFromRings([].concat(...geometry.polygons))}"></path></svg>`
+            };
+        case 'polyline':
+            return {
+                type: 'SvgSelector',
+                value: `<svg><path d="${createPathDataFromRings([geometry.points], false)}"></path></svg>`
+            };
+        default:
+            console.warn('⚠️ Unsupported geometry type for selector:', geometry.type);
+            return null;
+    }
+}
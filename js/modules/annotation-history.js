@@ -0,0 +1,164 @@
+/**
+ * Annotation History Module
+ *
+ * Undo/redo for annotation operations. Every operation is recorded as
+ * the annotations it removed and the annotations it added:
+ * - Create: adds one annotation
+ * - Update (geometry, body, retag): removes the old and adds the new version
+ * - Delete and folder delete: remove annotations
+ * - SAM replacement: removes the prompt and adds the segmentation
+ * - Import: adds the imported annotations
+ */
+
+// Maximum number of operations kept for undo
+const ANNOTATION_HISTORY_LIMIT = 100;
+
+const annotationUndoStack = [];
+const annotationRedoStack = [];
+let isApplyingHistory = false;
+
+/**
+ * Copy an annotation with its hidden state for the history
+ */
+function createHistorySnapshot(annotation) {
+    return {
+        annotation: JSON.parse(JSON.stringify(annotation)),
+        hidden: isAnnotationHidden(annotation)
+    };
+}
+
+/**
+ * Record an operation on the undo stack
+ */
+function recordAnnotationHistory(label, removedAnnotations, addedAnnotations, options = {}) {
+    if (isApplyingHistory) return;
+
+    annotationUndoStack.push({
+        label: label,
+        removed: removedAnnotations.filter(Boolean).map(createHistorySnapshot),
+        added: addedAnnotations.filter(Boolean).map(createHistorySnapshot),
+        folder: options.folder || null
+    });
+
+    if (annotationUndoStack.length > ANNOTATION_HISTORY_LIMIT) {
+        annotationUndoStack.shift();
+    }
+    annotationRedoStack.length = 0;
+
+    console.log(`📜 Recorded "${label}" (${annotationUndoStack.length} undo steps)`);
+}
+
+/**
+ * Remove an annotation from the viewer and all its folders
+ */
+function removeAnnotationForHistory(annotationId) {
+    const stored = findAnnotationInStore(annotationId);
+
+    try {
+        anno?.removeAnnotation(annotationId);
+    } catch (error) {
+        console.warn('Could not remove annotation from viewer:', error);
+    }
+
+    if (stored) {
+        // Annotations in several folders may be left in folders whose tags changed
+        Object.keys(annotations).forEach(tag => {
+            annotations[tag] = annotations[tag].filter(ann => ann.id !== annotationId);
+            updateAnnotationCount(null, tag);
+        });
+        removeAnnotationFromList(stored);
+    }
+}
+
+/**
+ * Add an annotation snapshot back to the viewer and its folders
+ */
+function addAnnotationForHistory(snapshot) {
+    const annotation = JSON.parse(JSON.stringify(snapshot.annotation));
+
+    // Filtered annotations stay off the slide
+    if (!snapshot.hidden && anno && isAnnotationShownOnSlide(annotation)) {
+        try {
+            anno.addAnnotation(annotation);
+        } catch (error) {
+            console.warn('Could not add annotation to viewer:', error);
+        }
+    }
+
+    addAnnotationToList(annotation);
+    if (snapshot.hidden) {
+        setAnnotationHiddenInList(annotation.id);
+    }
+}
+
+/**
+ * Replace the annotations of one side of an operation with the other
+ */
+function applyHistoryChange(toRemove, toAdd, folder, restoreFolder) {
+    isApplyingHistory = true;
+    try {
+        toRemove.forEach(snapshot => removeAnnotationForHistory(snapshot.annotation.id));
+        toAdd.forEach(snapshot => {
+            // Drop any copy left in the store before adding the snapshot
+            if (findAnnotationInStore(snapshot.annotation.id)) {
+                removeAnnotationForHistory(snapshot.annotation.id);
+            }
+            addAnnotationForHistory(snapshot);
+        });
+
+        if (folder) {
+            if (restoreFolder) {
+                ensureAnnotationFolder(folder);
+            } else if (!annotations[folder] || annotations[folder].length === 0) {
+                document.getElementById(`shared-${folder}-folder`)?.remove();
+                delete annotations[folder];
+                markAnnotationStoreDirty();
+                syncFolderDeletion(folder);
+            }
+        }
+    } finally {
+        isApplyingHistory = false;
+    }
+}
+
+/**
+ * Undo the last annotation operation
+ */
+function undoAnnotationChange() {
+    const entry = annotationUndoStack.pop();
+    if (!entry) {
+        console.log('📜 Nothing to undo');
+        return false;
+    }
+
+    applyHistoryChange(entry.added, entry.removed, entry.folder, true);
+    annotationRedoStack.push(entry);
+
+    console.log(`↩️ Undid "${entry.label}"`);
+    return true;
+}
+
+/**
+ * Redo the last undone annotation operation
+ */
+function redoAnnotationChange() {
+    const entry = annotationRedoStack.pop();
+    if (!entry) {
+        console.log('📜 Nothing to redo');
+        return false;
+    }
+
+    applyHistoryChange(entry.removed, entry.added, entry.folder, false);
+    annotationUndoStack.push(entry);
+
+    console.log(`↪️ Redid "${entry.label}"`);
+    return true;
+}
+
+/**
+ * Forget the history (when another slide is opened)
+ */
+function clearAnnotationHistory() {
+    annotationUndoStack.length = 0;
+    annotationRedoStack.length = 0;
+}
@@ -16,6 +16,18 @@ var annotations = {};
 // Current polarity setting  
 var currentPolarity = 'positive';
 
+// Annotations selected in the lists (Shift/Ctrl-click selects several)
+let selectedAnnotationIds = [];
+
+// Margin around an annotation zoomed to from the list (share of its size)
+const NAVIGATION_PADDING = 0.25;
+
+// Smallest region zoomed to, so points and tiny shapes keep context (WSI pixels)
+const NAVIGATION_MIN_SIZE = 256;
+
+// Folder the next/previous keys step through
+let navigationFolderTag = null;
+
 /**
  * Extract coordinates from annotation object (from working backup)
  */
@@ -122,25 +134,15 @@ function createSVGPathFromWSICoordinates(coordinateRings) {
         return '';
     }
     
-    // Start path with first coordinate
-    const firstCoord = firstRing[0];
-    let pathData = `M ${firstCoord[0]},${firstCoord[1]}`;
-    
-    // Add remaining coordinates
-    for (let i = 1; i < firstRing.length; i++) {
-        const coord = firstRing[i];
-        pathData += ` L ${coord[0]},${coord[1]}`;
-    }
-    
-    // Close path
-    pathData += ' Z';
+    // One subpath per ring; evenodd keeps holes open
+    const pathData = createPathDataFromRings(coordinateRings);
     
     console.log('🎨 Created SVG path:', pathData.substring(0, 100) + '...');
-    return `<svg><path d="${pathData}"></path></svg>`;
+    return `<svg><path fill-rule="evenodd" d="${pathData}"></path></svg>`;
 }
 
 /**
- * Export annotation to standard format
+ * Export annotation to standard format (HistomicsTK annotation document)
  */
 function convertAnnotationToExportFormat(annotation) {
     if (!annotation || !annotation.target || !annotation.target.selector) {
@@ -149,23 +151,13 @@ function convertAnnotationToExportFormat(annotation) {
     }
     
     try {
-        const selector = annotation.target.selector;
-        let coordinates = [];
-        
-        if (selector.type === 'SvgSelector' && selector.value) {
-            // Extract coordinates from SVG path
-            const pathRegex = /[ML]\\s*([0-9.]+)[,\\s]+([0-9.]+)/g;
-            let match;
-            const points = [];
-            
-            while ((match = pathRegex.exec(selector.value)) !== null) {
-                points.push([parseFloat(match[1]), parseFloat(match[2]), 0]);
-            }
-            
-            coordinates = points;
+        const elements = convertAnnotationToHistomicsElements(annotation);
+        if (elements.length === 0) {
+            console.warn('⚠️ Could not convert annotation geometry:', annotation.id);
+            return null;
         }
         
-        const description = annotation.body?.[0]?.value || 'Annotation';
+        const description = getAnnotationName(annotation);
         
         return {
             _accessLevel: 2,
@@ -173,20 +165,9 @@ function convertAnnotationToExportFormat(annotation) {
             _modelType: 'annotation',
             _version: Date.now(),
             annotation: {
+                name: elements[0].group,
                 description: description,
-                elements: [
-                    {
-                        fillColor: 'rgba(0,0,0,0)',
-                        lineColor: description.includes('SAM') ? 'rgb(0,255,255)' : 'rgb(0,0,0)',
-                        lineWidth: 2,
-                        rotation: 0,
-                        normal: [0, 0, 1],
-                        id: annotation.id,
-                        type: 'polyline',
-                        closed: true,
-                        points: coordinates
-                    }
-                ]
+                elements: elements
             }
         };
     } catch (error) {
@@ -195,6 +176,39 @@ function convertAnnotationToExportFormat(annotation) {
     }
 }
 
+/**
+ * Download data as a JSON file
+ */
+function downloadJSONFile(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { 
+        type: 'application/json' 
+    });
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Trigger browser download of a blob
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Base name for export files (slide name without extension + date)
+ */
+function getExportBaseName() {
+    const dateStr = new Date().toISOString().split('T')[0];
+    const slideName = currentSlideFile ? currentSlideFile.name.replace(/\.[^.]+$/, '') : 'slide';
+    return `${slideName.replace(/[^a-zA-Z0-9_-]/g, '_')}_${dateStr}`;
+}
+
 /**
  * Export single annotation
  */
@@ -212,20 +226,9 @@ function exportSingleAnnotation(annotation, category) {
         // Create filename with timestamp
         const now = new Date();
         const dateStr = now.toISOString().split('T')[0];
-        const filename = `annotation_${annotation.id.substring(0, 8)}_${dateStr}.json`;
+        const filename = `annotation_${annotation.id.replace(/[^a-zA-Z0-9]/g, '').substring(0, 8)}_${dateStr}.json`;
         
-        // Download file
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
-            type: 'application/json' 
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadJSONFile(exportData, filename);
         
         console.log('✅ Exported annotation:', filename);
         
@@ -235,6 +238,275 @@ function exportSingleAnnotation(annotation, category) {
     }
 }
 
+/**
+ * Get tag folders that currently hold annotations
+ */
+function getNonEmptyTags() {
+    return Object.keys(annotations).filter(tag => annotations[tag] && annotations[tag].length > 0);
+}
+
+/**
+ * Get annotations of the given tag folders without duplicates
+ */
+function getUniqueAnnotations(tags) {
+    const seenIds = new Set();
+    const result = [];
+    
+    tags.forEach(tag => {
+        (annotations[tag] || []).forEach(annotation => {
+            if (!seenIds.has(annotation.id)) {
+                seenIds.add(annotation.id);
+                result.push(annotation);
+            }
+        });
+    });
+    
+    return result;
+}
+
+/**
+ * File extension for an export format
+ */
+function getAnnotationFormatExtension(format) {
+    switch (format) {
+        case 'geojson':
+            return 'geojson';
+        case 'imagescope':
+        case 'asap':
+            return 'xml';
+        default:
+            return 'json';
+    }
+}
+
+/**
+ * Download export data (XML strings or JSON data)
+ */
+function downloadAnnotationExport(exportData, filename) {
+    if (typeof exportData === 'string') {
+        downloadBlob(new Blob([exportData], { type: 'application/xml' }), filename);
+    } else {
+        downloadJSONFile(exportData, filename);
+    }
+}
+
+/**
+ * Build export data for the given tag folders in the selected format
+ */
+function buildAnnotationExport(tags, format) {
+    switch (format) {
+        case 'geojson':
+            // One FeatureCollection, tag folders become classifications
+            return createGeoJSONFeatureCollection(getUniqueAnnotations(tags));
+        case 'imagescope':
+            // One ImageScope layer per tag folder
+            return createImageScopeXML(getUniqueAnnotations(tags), tags);
+        case 'asap':
+            // One ASAP group per tag folder
+            return createASAPXML(getUniqueAnnotations(tags), tags);
+        case 'histomicstk':
+        default:
+            // One HistomicsTK annotation document per tag folder
+            return tags.map(tag => createHistomicsDocument(tag, annotations[tag]));
+    }
+}
+
+/**
+ * Get selected export/import format from the UI
+ */
+function getSelectedAnnotationFormat() {
+    const formatSelect = document.getElementById('annotation-format');
+    return formatSelect ? formatSelect.value : 'histomicstk';
+}
+
+/**
+ * Export all annotations of the slide (one document per tag folder)
+ */
+function exportAllAnnotations() {
+    const tags = getNonEmptyTags();
+    if (tags.length === 0) {
+        alert('No annotations to export');
+        return;
+    }
+    
+    try {
+        const format = getSelectedAnnotationFormat();
+        const exportData = buildAnnotationExport(tags, format);
+        const filename = `annotations_${getExportBaseName()}.${getAnnotationFormatExtension(format)}`;
+        
+        downloadAnnotationExport(exportData, filename);
+        console.log(`✅ Exported ${tags.length} annotation folders:`, filename);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert('Export failed: ' + error.message);
+    }
+}
+
+/**
+ * Export all annotations of a single tag folder
+ */
+function exportFolderAnnotations(tag) {
+    if (!annotations[tag] || annotations[tag].length === 0) {
+        alert(`No annotations in "${tag}" to export`);
+        return;
+    }
+    
+    try {
+        const format = getSelectedAnnotationFormat();
+        const exportData = buildAnnotationExport([tag], format);
+        const filename = `annotations_${tag.replace(/[^a-zA-Z0-9_-]/g, '_')}_${getExportBaseName()}.${getAnnotationFormatExtension(format)}`;
+        
+        downloadAnnotationExport(exportData, filename);
+        console.log(`✅ Exported ${tag} folder:`, filename);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert('Export failed: ' + error.message);
+    }
+}
+
+/**
+ * Check whether an annotation ID is already in the store
+ */
+function isAnnotationInStore(annotationId) {
+    return Object.values(annotations).some(list => list.some(ann => ann.id === annotationId));
+}
+
+/**
+ * Find an annotation of the store by ID
+ */
+function findAnnotationInStore(annotationId) {
+    for (const list of Object.values(annotations)) {
+        const found = list.find(annotation => annotation.id === annotationId);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Convert annotation file content into Annotorious annotations
+ */
+function parseAnnotationFileContent(text, filename) {
+    // ImageScope and ASAP annotations are XML
+    if (text.trimStart().startsWith('<')) {
+        return convertAnnotationXMLToAnnotations(text);
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${filename} is not valid JSON`);
+    }
+    
+    if (isGeoJSONData(data)) {
+        return convertGeoJSONToAnnotations(data);
+    }
+    
+    if (isHistomicsData(data)) {
+        return convertHistomicsDataToAnnotations(data);
+    }
+    
+    throw new Error(`Unrecognized annotation format in ${filename}`);
+}
+
+/**
+ * Add imported annotations to the viewer and to their tag folders
+ */
+function addImportedAnnotations(importedAnnotations) {
+    const added = [];
+    const seenIds = new Set();
+    
+    importedAnnotations.forEach(annotation => {
+        // The same annotation can appear once per tag folder in an export
+        if (seenIds.has(annotation.id)) return;
+        seenIds.add(annotation.id);
+        
+        if (isAnnotationInStore(annotation.id)) {
+            annotation.id = generateImportedAnnotationId();
+        }
+        
+        // Files without audit fields count as created by the importer
+        stampAnnotationCreation(annotation, 'import');
+        
+        try {
+            anno.addAnnotation(annotation);
+        } catch (error) {
+            console.warn('Could not add imported annotation to viewer:', error);
+        }
+        addAnnotationToList(annotation);
+        added.push(annotation);
+    });
+    
+    recordAnnotationHistory('Import annotations', [], added);
+    
+    return added.length;
+}
+
+/**
+ * Import annotations from a file (HistomicsTK JSON, GeoJSON, ImageScope or ASAP XML)
+ */
+async function importAnnotationFile(file) {
+    console.log('📥 Importing annotations from:', file.name);
+    
+    if (!anno) {
+        alert('Please load a slide before importing annotations.');
+        return;
+    }
+    
+    try {
+        const text = await file.text();
+        const importedAnnotations = parseAnnotationFileContent(text, file.name);
+        
+        if (importedAnnotations.length === 0) {
+            alert(`No supported annotations found in ${file.name}`);
+            return;
+        }
+        
+        const importedCount = addImportedAnnotations(importedAnnotations);
+        console.log(`✅ Imported ${importedCount} annotations from ${file.name}`);
+        
+    } catch (error) {
+        console.error('❌ Import failed:', error);
+        alert('Import failed: ' + error.message);
+    }
+}
+
+/**
+ * Check whether a file is an annotation file by extension
+ */
+function isAnnotationFile(file) {
+    const fileName = file.name.toLowerCase();
+    return ['.json', '.geojson', '.xml'].some(ext => fileName.endsWith(ext));
+}
+
+/**
+ * Initialize annotation import/export controls
+ */
+function initializeAnnotationIO() {
+    const exportAllButton = document.getElementById('export-all-annotations');
+    const importButton = document.getElementById('import-annotations');
+    const importInput = document.getElementById('annotation-import-input');
+    
+    if (exportAllButton) {
+        exportAllButton.addEventListener('click', exportAllAnnotations);
+    }
+    
+    if (importButton && importInput) {
+        importButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            importInput.click();
+        });
+        
+        importInput.addEventListener('change', function(event) {
+            Array.from(event.target.files).forEach(file => importAnnotationFile(file));
+            // Allow re-importing the same file
+            importInput.value = '';
+        });
+    }
+    
+    console.log('Annotation import/export initialized');
+}
+
 
 /**
  * Create SVG path from points array
@@ -284,6 +556,9 @@ function ensureAnnotationFolder(tag) {
     name.className = 'folder-name';
     name.textContent = tag;
     
+    // Style swatch (opens the class style editor)
+    const styleBtn = createClassStyleButton(tag);
+    
     const count = document.createElement('span');
     count.className = 'annotation-count';
     count.id = `shared-${tag}-count`;
@@ -299,13 +574,25 @@ function ensureAnnotationFolder(tag) {
         deleteFolderAndAnnotations(tag);
     });
     
+    // Add export folder button
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'folder-export-btn';
+    exportBtn.innerHTML = '⬇';
+    exportBtn.title = `Export all ${tag} annotations`;
+    exportBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        exportFolderAnnotations(tag);
+    });
+    
     const list = document.createElement('div');
     list.className = 'annotations-list';
     list.id = `shared-${tag}-annotations`;
     
     header.appendChild(icon);
+    header.appendChild(styleBtn);
     header.appendChild(name);
     header.appendChild(count);
+    header.appendChild(exportBtn);
     header.appendChild(deleteBtn);
     folder.appendChild(header);
     folder.appendChild(list);
@@ -338,12 +625,17 @@ function deleteFolderAndAnnotations(tag) {
     const annotationCount = annotations[tag] ? annotations[tag].length : 0;
     
     if (annotationCount === 0) {
+        recordAnnotationHistory('Delete folder', [], [], { folder: tag });
+        
         // Just remove empty folder
         const folder = document.getElementById(`shared-${tag}-folder`);
         if (folder) {
             folder.remove();
             console.log(`📁 Removed empty ${tag} folder`);
         }
+        delete annotations[tag];
+        markAnnotationStoreDirty();
+        syncFolderDeletion(tag);
         return;
     }
     
@@ -351,6 +643,8 @@ function deleteFolderAndAnnotations(tag) {
     const confirmDelete = confirm(`Delete "${folderName}" folder and all ${annotationCount} annotations?`);
     if (!confirmDelete) return;
     
+    recordAnnotationHistory('Delete folder', getUniqueAnnotations([tag]), [], { folder: tag });
+    
     // Remove all annotations from viewer
     if (annotations[tag] && anno) {
         annotations[tag].forEach(annotation => {
@@ -371,6 +665,10 @@ function deleteFolderAndAnnotations(tag) {
         folder.remove();
         console.log(`🗑️ Deleted ${tag} folder and ${annotationCount} annotations`);
     }
+    
+    refreshAnnotationFilterStatus();
+    markAnnotationStoreDirty();
+    syncFolderDeletion(tag);
 }
 
 /**
@@ -476,9 +774,12 @@ function getAnnotationTags(annotation) {
                 if (item.value && typeof item.value === 'string' && item.value.trim()) {
                     // W3C Web Annotation standard purpose for tags
                     if (item.purpose === 'tagging') {
-                        const tag = item.value.trim();
+                        // Spelling variants map to the label schema class
+                        const tag = getCanonicalTag(item.value.trim());
                         console.log('✅ FOUND TAG:', `"${tag}"`);
-                        tags.push(tag);
+                        if (!tags.includes(tag)) {
+                            tags.push(tag);
+                        }
                     }
                 }
             }
@@ -605,6 +906,11 @@ function addAnnotationToList(annotation) {
     
     // Apply polarity styling
     applyPolarityStyle(annotation);
+    refreshAnnotationProperties(annotation);
+    refreshAnnotationFilterItem(annotation);
+    
+    markAnnotationStoreDirty();
+    syncAnnotationUpsert(annotation);
 }
 
 /**
@@ -619,10 +925,23 @@ function addAnnotation(annotation) {
 window.addAnnotation = addAnnotation;
 
 /**
- * Wrapper function for selectAnnotationInViewer (for compatibility)
+ * Wrapper function for removeAnnotationFromList (viewer delete events)
+ */
+function removeAnnotation(annotation) {
+    recordAnnotationHistory('Delete annotation', [findAnnotationInStore(annotation.id) || annotation], []);
+    removeAnnotationFromList(annotation);
+}
+
+/**
+ * Follow an annotation selected in the viewer in the list
  */
 function selectAnnotation(annotation) {
-    selectAnnotationInViewer(annotation, null);
+    const stored = findAnnotationInStore(annotation.id);
+    if (!stored) return;
+    
+    highlightAnnotationInList(stored);
+    renderAnnotationAudit(stored);
+    renderAnnotationMeasurements(stored);
 }
 
 // Ensure global accessibility
@@ -659,6 +978,12 @@ function createAnnotationItem(annotation, category) {
     textElement.textContent = text;
     contentDiv.appendChild(textElement);
     
+    // Area (length for lines) in calibrated units
+    const measurementElement = document.createElement('span');
+    measurementElement.className = 'annotation-measurement';
+    measurementElement.textContent = formatAnnotationMeasurementSummary(annotation);
+    contentDiv.appendChild(measurementElement);
+    
     // Create HistomicsTK-style action buttons container
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'annotation-actions';
@@ -702,39 +1027,104 @@ function createAnnotationItem(annotation, category) {
     item.appendChild(contentDiv);
     item.appendChild(actionsDiv);
     
-    // Click handler for selecting annotation
-    item.addEventListener('click', function() {
-        selectAnnotationInViewer(annotation, null);
+    // Click handler for selecting annotation (Shift/Ctrl-click adds to the selection)
+    item.addEventListener('click', function(e) {
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            toggleAnnotationInSelection(annotation.id);
+            return;
+        }
+        selectAnnotationInViewer(annotation, category);
     });
     
     return item;
 }
 
+/**
+ * Zoom the viewer to an annotation with some margin around it
+ */
+function fitViewerToAnnotation(annotation) {
+    const bounds = getGeometryBounds(parseAnnotationGeometry(annotation));
+    if (!viewer || !bounds) return;
+    
+    const width = Math.max(bounds.width * (1 + 2 * NAVIGATION_PADDING), NAVIGATION_MIN_SIZE);
+    const height = Math.max(bounds.height * (1 + 2 * NAVIGATION_PADDING), NAVIGATION_MIN_SIZE);
+    const x = bounds.x + bounds.width / 2 - width / 2;
+    const y = bounds.y + bounds.height / 2 - height / 2;
+    
+    viewer.viewport.fitBounds(viewer.viewport.imageToViewportRectangle(x, y, width, height));
+}
+
 /**
  * Select annotation in viewer
+ *
+ * Zooms to the annotation and selects it in the viewer and the list.
+ * category is the folder the annotation was picked from.
  */
 function selectAnnotationInViewer(annotation, category) {
     console.log('🎯 Selecting annotation:', annotation.id);
     
+    const stored = findAnnotationInStore(annotation.id) || annotation;
+    navigationFolderTag = category || getAnnotationTags(stored)[0];
+    
+    highlightAnnotationInList(stored);
+    renderAnnotationAudit(stored);
+    renderAnnotationMeasurements(stored);
+    
     if (!anno) return;
     
     // Clear current selection
     anno.cancelSelected();
+    fitViewerToAnnotation(stored);
     
-    // No need to switch tabs since annotations are shared across both tabs
+    // Hidden and filtered annotations are not on the slide to select
+    if (!isAnnotationShownOnSlide(stored)) return;
     
     // Select annotation after brief delay
     setTimeout(() => {
         try {
-            anno.selectAnnotation(annotation.id);
-            highlightAnnotationInList(annotation);
-            console.log('✅ Annotation selected:', annotation.id);
+            anno.selectAnnotation(stored.id);
+            console.log('✅ Annotation selected:', stored.id);
         } catch (error) {
             console.error('❌ Failed to select annotation:', error);
         }
     }, 100);
 }
 
+/**
+ * Go to the next (step 1) or previous (step -1) annotation of a folder
+ *
+ * Steps through the folder of the current annotation as listed, leaving
+ * out filtered annotations; returns false when there is nothing to go to.
+ */
+function navigateAnnotationInFolder(step) {
+    const selectedIds = getSelectedAnnotationIds();
+    const currentId = selectedIds[selectedIds.length - 1];
+    const current = currentId ? findAnnotationInStore(currentId) : null;
+    
+    let tag = navigationFolderTag;
+    if (current && !(annotations[tag] || []).some(ann => ann.id === current.id)) {
+        tag = getAnnotationTags(current)[0];
+    }
+    if (!annotations[tag] || annotations[tag].length === 0) {
+        tag = getNonEmptyTags()[0];
+    }
+    
+    const listElement = document.getElementById(`shared-${tag}-annotations`);
+    if (!listElement) return false;
+    
+    const ids = Array.from(listElement.querySelectorAll('.annotation-item:not(.filtered-out)'))
+        .map(item => item.dataset.annotationId);
+    if (ids.length === 0) return false;
+    
+    const index = current ? ids.indexOf(current.id) : -1;
+    const nextIndex = index === -1
+        ? (step > 0 ? 0 : ids.length - 1)
+        : (index + step + ids.length) % ids.length;
+    
+    selectAnnotationInViewer(findAnnotationInStore(ids[nextIndex]), tag);
+    return true;
+}
+
 /**
  * Get current active tab
  */
@@ -754,19 +1144,54 @@ function switchToTab(tabName) {
 }
 
 /**
- * Highlight annotation in list
+ * Get the IDs of the selected annotations, in the order they were selected
  */
-function highlightAnnotationInList(annotation) {
+function getSelectedAnnotationIds() {
+    return selectedAnnotationIds.filter(isAnnotationInStore);
+}
+
+/**
+ * Replace the list selection and highlight the selected annotations
+ */
+function setAnnotationSelection(annotationIds) {
+    selectedAnnotationIds = annotationIds.slice();
+    
     // Remove previous highlights
     document.querySelectorAll('.annotation-item.selected').forEach(item => {
         item.classList.remove('selected');
     });
     
-    // Highlight selected annotation
-    const annotationItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-    if (annotationItem) {
-        annotationItem.classList.add('selected');
-    }
+    // Highlight selected annotations (one item per tag folder)
+    selectedAnnotationIds.forEach(id => {
+        document.querySelectorAll(`[data-annotation-id="${id}"]`).forEach(item => {
+            item.classList.add('selected');
+        });
+    });
+    
+    updateOperationSelectionStatus();
+    renderShapeToolPreview();
+    renderVertexEditor();
+    updatePropertiesForSelection(selectedAnnotationIds);
+}
+
+/**
+ * Add an annotation to the selection, or remove it if already selected
+ */
+function toggleAnnotationInSelection(annotationId) {
+    const ids = getSelectedAnnotationIds();
+    setAnnotationSelection(ids.includes(annotationId)
+        ? ids.filter(id => id !== annotationId)
+        : ids.concat([annotationId]));
+}
+
+/**
+ * Highlight annotation in list and scroll it into view
+ */
+function highlightAnnotationInList(annotation) {
+    setAnnotationSelection([annotation.id]);
+    
+    const item = document.querySelector(`[data-annotation-id="${annotation.id}"]:not(.filtered-out)`);
+    item?.scrollIntoView({ block: 'nearest' });
 }
 
 /**
@@ -776,6 +1201,9 @@ function updateAnnotationInList(annotation) {
     // Get tags and find which tag array this annotation is stored in
     const tags = getAnnotationTags(annotation);
     
+    // Move the annotation between folders when its tags changed
+    moveAnnotationToTagFolders(annotation, tags);
+    
     // Find and update in storage for each tag
     tags.forEach(tag => {
         if (annotations[tag]) {
@@ -786,9 +1214,8 @@ function updateAnnotationInList(annotation) {
         }
     });
     
-    // Update UI item text content
-    const annotationItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-    if (annotationItem) {
+    // Update UI item text content (one item per tag folder)
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(annotationItem => {
         const textElement = annotationItem.querySelector('.annotation-text');
         if (textElement) {
             let text = 'Annotation';
@@ -802,22 +1229,56 @@ function updateAnnotationInList(annotation) {
             //     annotationItem.classList.add('sam-annotation');
             // }
             
-            // Add polarity indicator
-            if (currentPolarity && currentPolarity !== 'positive') {
-                text = `${currentPolarity === 'positive' ? '+' : '−'} ${text}`;
-                annotationItem.classList.add('polarity-' + currentPolarity);
-            } else if (currentPolarity === 'positive') {
-                text = `+ ${text}`;
-                annotationItem.classList.add('polarity-positive');
-            }
-            
             textElement.textContent = text;
         }
-    }
+    });
     
+    applyPolarityStyle(annotation);
+    refreshAnnotationAudit(annotation);
+    refreshAnnotationProperties(annotation);
+    refreshAnnotationMeasurements(annotation);
+    refreshAnnotationFilterItem(annotation);
+    markAnnotationStoreDirty();
+    syncAnnotationUpsert(annotation);
     console.log('📝 Updated annotation in list:', annotation.id);
 }
 
+/**
+ * Move a stored annotation into the folders of its current tags
+ */
+function moveAnnotationToTagFolders(annotation, tags) {
+    const previousTags = Object.keys(annotations)
+        .filter(tag => annotations[tag].some(ann => ann.id === annotation.id));
+    if (previousTags.length === 0) return;
+    
+    const hidden = isAnnotationHidden(annotation);
+    
+    previousTags.filter(tag => !tags.includes(tag)).forEach(tag => {
+        annotations[tag] = annotations[tag].filter(ann => ann.id !== annotation.id);
+        const listElement = document.getElementById(`shared-${tag}-annotations`);
+        listElement?.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(item => item.remove());
+        updateAnnotationCount(null, tag);
+    });
+    
+    tags.filter(tag => !previousTags.includes(tag)).forEach(tag => {
+        if (!annotations[tag]) {
+            annotations[tag] = [];
+        }
+        annotations[tag].push(annotation);
+        ensureAnnotationFolder(tag);
+        
+        const listElement = document.getElementById(`shared-${tag}-annotations`);
+        if (listElement) {
+            listElement.appendChild(createAnnotationItem(annotation, tag));
+        }
+        updateAnnotationCount(null, tag);
+    });
+    
+    if (hidden) {
+        setAnnotationHiddenInList(annotation.id);
+    }
+}
+
 /**
  * Remove annotation from list
  */
@@ -835,12 +1296,13 @@ function removeAnnotationFromList(annotation) {
         updateAnnotationCount(null, tag);
     });
     
-    // Remove from UI
-    const annotationItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-    if (annotationItem) {
-        annotationItem.remove();
-    }
+    // Remove from UI (one item per tag folder)
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(item => item.remove());
     
+    clearAnnotationProperties(annotation.id);
+    refreshAnnotationFilterStatus();
+    markAnnotationStoreDirty();
+    syncAnnotationDelete(annotation);
     console.log('🗑️ Removed annotation from list:', annotation.id);
 }
 
@@ -848,6 +1310,8 @@ function removeAnnotationFromList(annotation) {
  * Delete annotation completely (HistomicsTK style - no confirmation popup)
  */
 function deleteAnnotation(annotation, category) {
+    recordAnnotationHistory('Delete annotation', [annotation], []);
+    
     // Remove from viewer
     try {
         if (anno) {
@@ -870,12 +1334,11 @@ function deleteAnnotation(annotation, category) {
         updateAnnotationCount(null, tag);
     });
     
-    // Remove from UI
-    const annotationItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-    if (annotationItem) {
-        annotationItem.remove();
-    }
+    // Remove from UI (one item per tag folder)
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(item => item.remove());
     
+    markAnnotationStoreDirty();
+    syncAnnotationDelete(annotation);
     console.log('🗑️ Deleted annotation:', annotation.id);
 }
 
@@ -903,9 +1366,37 @@ function getAnnotationTitle(annotation) {
  * Apply polarity styling to annotation
  */
 function applyPolarityStyle(annotation) {
-    // This would apply visual styling based on polarity
-    // For now, just log the operation
-    console.log('🎨 Applying polarity style to:', annotation.id, 'polarity:', currentPolarity);
+    const polarity = getAnnotationPolarity(annotation);
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"]`).forEach(item => {
+        item.classList.toggle('polarity-positive', polarity === 'positive');
+        item.classList.toggle('polarity-negative', polarity === 'negative');
+    });
+}
+
+/**
+ * Get polarity of an annotation ('positive' unless drawn as negative)
+ */
+function getAnnotationPolarity(annotation) {
+    return annotation.polarity === 'negative' ? 'negative' : 'positive';
+}
+
+/**
+ * Check whether an annotation is hidden via its list eye icon
+ */
+function isAnnotationHidden(annotation) {
+    const listItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
+    const visibilityIcon = listItem?.querySelector('.annotation-visibility');
+    return !!visibilityIcon?.classList.contains('hidden');
+}
+
+/**
+ * Mark an annotation as hidden in its list items
+ */
+function setAnnotationHiddenInList(annotationId) {
+    document.querySelectorAll(`[data-annotation-id="${annotationId}"] .annotation-visibility`).forEach(icon => {
+        icon.classList.add('hidden');
+        icon.innerHTML = '🙈';
+    });
 }
 
 /**
@@ -945,31 +1436,27 @@ function toggleAnnotationVisibility(annotation, visibilityIcon) {
         }
         console.log('🙈 Hidden annotation:', annotation.id);
     }
+    
+    markAnnotationStoreDirty();
 }
 
 /**
- * Open annotation settings (placeholder for now)
+ * Open the properties panel of an annotation
  */
 function openAnnotationSettings(annotation, category) {
-    // For now, just allow editing the name
-    const currentName = annotation.body && annotation.body[0] ? annotation.body[0].value : 'Interactive Segmentation...';
-    const newName = prompt('Edit annotation name:', currentName);
+    const stored = findAnnotationInStore(annotation.id) || annotation;
     
-    if (newName && newName !== currentName) {
-        // Update annotation
-        if (!annotation.body) annotation.body = [];
-        if (!annotation.body[0]) annotation.body[0] = { type: 'TextualBody', purpose: 'commenting' };
-        annotation.body[0].value = newName;
-        
-        // Update in list
-        updateAnnotationInList(annotation);
-        
-        console.log('⚙️ Updated annotation name:', annotation.id, 'to:', newName);
-    }
+    setAnnotationSelection([stored.id]);
+    renderAnnotationProperties(stored);
+    renderAnnotationAudit(stored);
+    renderAnnotationMeasurements(stored);
+    
+    document.getElementById('properties-name')?.focus();
+    console.log('⚙️ Editing properties of annotation:', stored.id);
 }
 
 /**
- * Update annotation visibility based on current tab
+ * Show the annotations that are not hidden and pass the list filter
  */
 function updateAnnotationVisibility() {
     if (!anno) return;
@@ -978,21 +1465,8 @@ function updateAnnotationVisibility() {
     anno.clearAnnotations();
     
     // Show ALL annotations from shared storage (only visible ones)
-    Object.keys(annotations).forEach(tag => {
-        if (annotations[tag]) {
-            annotations[tag].forEach(annotation => {
-                // Check if annotation is marked as hidden
-                const listItem = document.querySelector(`[data-annotation-id="${annotation.id}"]`);
-                const visibilityIcon = listItem?.querySelector('.annotation-visibility');
-                const isHidden = visibilityIcon?.classList.contains('hidden');
-                
-                if (!isHidden) {
-                    anno.addAnnotation(annotation);
-                }
-            });
-        }
-    });
+    const shownAnnotations = getUniqueAnnotations(Object.keys(annotations)).filter(isAnnotationShownOnSlide);
+    shownAnnotations.forEach(annotation => anno.addAnnotation(annotation));
     
-    const totalAnnotations = Object.values(annotations).reduce((sum, arr) => sum + arr.length, 0);
-    console.log(`👁️ Updated annotation visibility: showing ${totalAnnotations} total annotations`);
+    console.log(`👁️ Updated annotation visibility: showing ${shownAnnotations.length} annotations`);
 }
\ No newline at end of file
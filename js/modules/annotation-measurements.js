@@ -0,0 +1,369 @@
+/**
+ * Annotation Measurements Module
+ *
+ * Calibrated size of every annotation:
+ * - Microns per pixel read from the slide metadata (Aperio SVS
+ *   description, OME-XML, TIFF resolution tags) or entered by hand
+ * - Area, perimeter (length for lines) and bounding size of each shape
+ * - Shown in the annotation lists and the View Info sidebar, updated
+ *   while a shape is edited, and written into the annotation exports
+ */
+
+// Plausible slide resolutions in µm/px (rejects screen DPI defaults)
+const MPP_MIN = 0.01;
+const MPP_MAX = 10;
+
+// Microns per pixel found in the slide metadata
+var slideMicronsPerPixel = null;
+
+// Manually entered microns per pixel (wins over the metadata)
+let micronsPerPixelOverride = null;
+
+// Annotation shown in the measurement panel
+let measuredAnnotationId = null;
+
+/**
+ * Check whether a value is a usable microns-per-pixel value
+ */
+function isValidMicronsPerPixel(value) {
+    return typeof value === 'number' && isFinite(value) && value >= MPP_MIN && value <= MPP_MAX;
+}
+
+/**
+ * Read microns per pixel from a TIFF ImageDescription (Aperio or OME-XML)
+ */
+function parseMicronsPerPixelFromDescription(description) {
+    if (typeof description !== 'string') return null;
+
+    // Aperio SVS: "...|AppMag = 20|MPP = 0.4990|..."
+    const aperio = description.match(/\bMPP\s*=\s*([\d.]+)/i);
+    if (aperio) {
+        return parseFloat(aperio[1]);
+    }
+
+    // OME-XML: <Pixels PhysicalSizeX="0.25" PhysicalSizeXUnit="µm" ...>
+    const ome = description.match(/PhysicalSizeX="([\d.eE+-]+)"/);
+    if (ome) {
+        const unit = (description.match(/PhysicalSizeXUnit="([^"]+)"/) || [])[1] || 'µm';
+        const scale = { nm: 0.001, 'µm': 1, um: 1, mm: 1000, cm: 10000 }[unit];
+        return scale ? parseFloat(ome[1]) * scale : null;
+    }
+
+    return null;
+}
+
+/**
+ * Read microns per pixel from the TIFF XResolution/ResolutionUnit tags
+ */
+function parseMicronsPerPixelFromResolution(fileDirectory) {
+    // Rationals are read as [numerator, denominator]
+    const toNumber = value => {
+        if (value && value.length === 2) return value[1] ? value[0] / value[1] : NaN;
+        if (value && value.length === 1) return Number(value[0]);
+        return Number(value);
+    };
+
+    const resolution = toNumber(fileDirectory.XResolution);
+    const unit = toNumber(fileDirectory.ResolutionUnit);
+    if (!resolution || !isFinite(resolution)) return null;
+
+    // 2 = pixels per inch, 3 = pixels per centimeter
+    if (unit === 2) return 25400 / resolution;
+    if (unit === 3) return 10000 / resolution;
+    return null;
+}
+
+/**
+ * Read microns per pixel from the metadata of the loaded slide
+ */
+function detectSlideMicronsPerPixel() {
+    slideMicronsPerPixel = null;
+
+    const image = getSlidePyramidImages()[0];
+    const fileDirectory = image && image.fileDirectory;
+    if (fileDirectory) {
+        const candidates = [
+            parseMicronsPerPixelFromDescription(fileDirectory.ImageDescription),
+            parseMicronsPerPixelFromResolution(fileDirectory)
+        ];
+        slideMicronsPerPixel = candidates.find(isValidMicronsPerPixel) || null;
+    }
+
+    console.log(slideMicronsPerPixel
+        ? `📏 Slide resolution: ${slideMicronsPerPixel} µm/px`
+        : '📏 No resolution in slide metadata - measurements in pixels');
+
+    updateMicronsPerPixelDisplay();
+    refreshAllAnnotationMeasurements();
+    return slideMicronsPerPixel;
+}
+
+/**
+ * Get the microns per pixel used for measurements (null if unknown)
+ */
+function getMicronsPerPixel() {
+    return micronsPerPixelOverride || slideMicronsPerPixel;
+}
+
+/**
+ * Set or clear (null) the manual microns-per-pixel override
+ */
+function setMicronsPerPixelOverride(value) {
+    micronsPerPixelOverride = isValidMicronsPerPixel(value) ? value : null;
+    updateMicronsPerPixelDisplay();
+    refreshAllAnnotationMeasurements();
+}
+
+/**
+ * Length of a ring or line in pixels
+ */
+function calculatePathLength(points, closed) {
+    let length = 0;
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        length += Math.hypot(x2 - x1, y2 - y1);
+    }
+    return length;
+}
+
+/**
+ * Perimeter of an ellipse (Ramanujan's approximation)
+ */
+function calculateEllipsePerimeter(rx, ry) {
+    // Degenerate ellipse (h would be 0 / 0)
+    if (rx + ry === 0) return 0;
+
+    const h = Math.pow(rx - ry, 2) / Math.pow(rx + ry, 2);
+    return Math.PI * (rx + ry) * (1 + (3 * h) / (10 + Math.sqrt(4 - 3 * h)));
+}
+
+/**
+ * Area, perimeter and bounding size of a shape in pixels
+ *
+ * Holes are subtracted from the area and added to the perimeter.
+ * Lines have no area; their perimeter is their length.
+ */
+function calculateGeometryMeasurements(geometry) {
+    const bounds = getGeometryBounds(geometry);
+    const measurements = {
+        area: 0,
+        perimeter: 0,
+        width: bounds ? bounds.width : 0,
+        height: bounds ? bounds.height : 0
+    };
+    if (!geometry) return measurements;
+
+    switch (geometry.type) {
+        case 'point':
+            break;
+        case 'rectangle':
+            measurements.area = geometry.width * geometry.height;
+            measurements.perimeter = 2 * (geometry.width + geometry.height);
+            break;
+        case 'circle':
+            measurements.area = Math.PI * geometry.r * geometry.r;
+            measurements.perimeter = 2 * Math.PI * geometry.r;
+            break;
+        case 'ellipse':
+            measurements.area = Math.PI * geometry.rx * geometry.ry;
+            measurements.perimeter = calculateEllipsePerimeter(geometry.rx, geometry.ry);
+            break;
+        case 'polyline':
+            measurements.perimeter = calculatePathLength(geometry.points, false);
+            break;
+        default:
+            convertGeometryToPolygons(geometry).forEach(rings => {
+                rings.forEach((ring, index) => {
+                    const ringArea = calculatePolygonArea(ring);
+                    measurements.area += index === 0 ? ringArea : -ringArea;
+                    measurements.perimeter += calculatePathLength(ring, true);
+                });
+            });
+            measurements.area = Math.max(0, measurements.area);
+    }
+
+    return measurements;
+}
+
+/**
+ * Measurements of an annotation in pixels and, when calibrated, microns
+ */
+function getAnnotationMeasurements(annotation) {
+    const geometry = parseAnnotationGeometry(annotation);
+    const pixels = calculateGeometryMeasurements(geometry);
+    const mpp = getMicronsPerPixel();
+    const isLine = Boolean(geometry && geometry.type === 'polyline');
+
+    return {
+        type: geometry ? geometry.type : null,
+        micronsPerPixel: mpp,
+        areaPixels: pixels.area,
+        perimeterPixels: pixels.perimeter,
+        widthPixels: pixels.width,
+        heightPixels: pixels.height,
+        areaMicrons: mpp ? pixels.area * mpp * mpp : null,
+        perimeterMicrons: mpp ? pixels.perimeter * mpp : null,
+        widthMicrons: mpp ? pixels.width * mpp : null,
+        heightMicrons: mpp ? pixels.height * mpp : null,
+        lengthPixels: isLine ? pixels.perimeter : null,
+        lengthMicrons: isLine && mpp ? pixels.perimeter * mpp : null
+    };
+}
+
+/**
+ * Format a number with a sensible count of digits
+ */
+function formatMeasurementNumber(value) {
+    if (value >= 100) return Math.round(value).toLocaleString();
+    if (value >= 10) return value.toFixed(1);
+    return value.toFixed(2);
+}
+
+/**
+ * Format a length given in pixels (µm or mm when calibrated)
+ */
+function formatMeasurementLength(pixels) {
+    const mpp = getMicronsPerPixel();
+    if (!mpp) return `${formatMeasurementNumber(pixels)} px`;
+
+    const microns = pixels * mpp;
+    return microns >= 1000
+        ? `${formatMeasurementNumber(microns / 1000)} mm`
+        : `${formatMeasurementNumber(microns)} µm`;
+}
+
+/**
+ * Format an area given in square pixels (µm² or mm² when calibrated)
+ */
+function formatMeasurementArea(pixels) {
+    const mpp = getMicronsPerPixel();
+    if (!mpp) return `${formatMeasurementNumber(pixels)} px²`;
+
+    const microns = pixels * mpp * mpp;
+    return microns >= 1e6
+        ? `${formatMeasurementNumber(microns / 1e6)} mm²`
+        : `${formatMeasurementNumber(microns)} µm²`;
+}
+
+/**
+ * Short measurement text for annotation list items
+ */
+function formatAnnotationMeasurementSummary(annotation) {
+    const measurements = getAnnotationMeasurements(annotation);
+    if (!measurements.type || measurements.type === 'point') return '';
+    if (measurements.type === 'polyline') return formatMeasurementLength(measurements.perimeterPixels);
+    return formatMeasurementArea(measurements.areaPixels);
+}
+
+/**
+ * Update the measurement text of an annotation's list items
+ */
+function updateAnnotationMeasurementsInList(annotation) {
+    const summary = formatAnnotationMeasurementSummary(annotation);
+    document.querySelectorAll(`[data-annotation-id="${annotation.id}"] .annotation-measurement`).forEach(element => {
+        element.textContent = summary;
+    });
+}
+
+/**
+ * Show the measurements of an annotation (or a shape being edited) in the sidebar
+ */
+function renderAnnotationMeasurements(annotation) {
+    const panel = document.getElementById('annotation-measurements');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    if (!annotation) {
+        measuredAnnotationId = null;
+        return;
+    }
+    if (annotation.id) {
+        measuredAnnotationId = annotation.id;
+    }
+
+    const measurements = getAnnotationMeasurements(annotation);
+    if (!measurements.type) return;
+
+    const addLine = (label, value) => {
+        const line = document.createElement('div');
+        line.className = 'measurement-line';
+        line.textContent = `${label}: ${value}`;
+        panel.appendChild(line);
+    };
+
+    if (measurements.type === 'polyline') {
+        addLine('Length', formatMeasurementLength(measurements.perimeterPixels));
+    } else if (measurements.type !== 'point') {
+        addLine('Area', formatMeasurementArea(measurements.areaPixels));
+        addLine('Perimeter', formatMeasurementLength(measurements.perimeterPixels));
+    }
+    addLine('Size', `${formatMeasurementLength(measurements.widthPixels)} × ${formatMeasurementLength(measurements.heightPixels)}`);
+}
+
+/**
+ * Recalculate all measurements (after the calibration changed)
+ */
+function refreshAllAnnotationMeasurements() {
+    getUniqueAnnotations(Object.keys(annotations)).forEach(updateAnnotationMeasurementsInList);
+
+    if (measuredAnnotationId) {
+        renderAnnotationMeasurements(findAnnotationInStore(measuredAnnotationId));
+    }
+}
+
+/**
+ * Refresh the sidebar if it shows the given annotation
+ */
+function refreshAnnotationMeasurements(annotation) {
+    updateAnnotationMeasurementsInList(annotation);
+    if (annotation && annotation.id === measuredAnnotationId) {
+        renderAnnotationMeasurements(annotation);
+    }
+}
+
+/**
+ * Show the calibration source next to the override field
+ */
+function updateMicronsPerPixelDisplay() {
+    const source = document.getElementById('mpp-source');
+    const input = document.getElementById('mpp-override');
+
+    if (input) {
+        input.value = micronsPerPixelOverride || '';
+        input.placeholder = slideMicronsPerPixel ? String(slideMicronsPerPixel) : 'unknown';
+    }
+
+    if (source) {
+        if (micronsPerPixelOverride) {
+            source.textContent = 'Resolution: manual override';
+        } else if (slideMicronsPerPixel) {
+            source.textContent = 'Resolution: from slide metadata';
+        } else {
+            source.textContent = 'Resolution unknown - measurements in pixels';
+        }
+    }
+}
+
+/**
+ * Initialize the calibration field and the measurement panel
+ */
+function initializeAnnotationMeasurements() {
+    const input = document.getElementById('mpp-override');
+    if (input) {
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (input.value.trim() !== '' && !isValidMicronsPerPixel(value)) {
+                alert(`Please enter a resolution between ${MPP_MIN} and ${MPP_MAX} µm per pixel.`);
+                updateMicronsPerPixelDisplay();
+                return;
+            }
+            setMicronsPerPixelOverride(input.value.trim() === '' ? null : value);
+            markAnnotationStoreDirty();
+        });
+    }
+
+    updateMicronsPerPixelDisplay();
+    console.log('Annotation measurements initialized');
+}
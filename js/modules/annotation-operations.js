@@ -0,0 +1,245 @@
+/**
+ * Annotation Operations Module
+ *
+ * Boolean operations on the selected annotations (Shift-click in the
+ * annotation list to select several):
+ * - Union merges the selection into one annotation
+ * - Intersect keeps the area all selected annotations share
+ * - Subtract removes the other selected annotations from the first one
+ * - Split cuts the selected annotation along a line drawn on the viewer
+ *
+ * Results replace the annotations they were made from and can be undone.
+ */
+
+/**
+ * Create a new annotation ID in the Annotorious format
+ */
+function generateAnnotationId() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return '#' + window.crypto.randomUUID();
+    }
+    return '#' + Date.now().toString(16) + '-' + Math.random().toString(16).slice(2);
+}
+
+/**
+ * Get the selected annotations that have an area, in selection order
+ */
+function getSelectedAreaAnnotations() {
+    return getSelectedAnnotationIds()
+        .map(findAnnotationInStore)
+        .filter(annotation => annotation && getGeometryRings(parseAnnotationGeometry(annotation)).length > 0);
+}
+
+/**
+ * Create an annotation for the result of an operation
+ *
+ * Name, tags and polarity are taken from the source annotation.
+ */
+function createOperationResultAnnotation(source, geometry, tool) {
+    const rings = [].concat(...convertGeometryToPolygons(geometry));
+
+    const annotation = {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        type: 'Annotation',
+        id: generateAnnotationId(),
+        body: JSON.parse(JSON.stringify(source.body || [])),
+        target: {
+            selector: {
+                type: 'SvgSelector',
+                value: createSVGPathFromWSICoordinates(rings)
+            }
+        }
+    };
+
+    if (source.polarity) {
+        annotation.polarity = source.polarity;
+    }
+    stampAnnotationCreation(annotation, tool);
+    return annotation;
+}
+
+/**
+ * Replace annotations with the results of an operation
+ */
+function replaceAnnotationsWithResults(label, removed, added) {
+    recordAnnotationHistory(label, removed, added);
+
+    removed.forEach(annotation => {
+        try {
+            anno?.removeAnnotation(annotation.id);
+        } catch (error) {
+            console.warn('Could not remove annotation from viewer:', error);
+        }
+        removeAnnotationFromList(annotation);
+    });
+
+    added.forEach(annotation => {
+        try {
+            if (isAnnotationShownOnSlide(annotation)) {
+                anno?.addAnnotation(annotation);
+            }
+        } catch (error) {
+            console.warn('Could not add annotation to viewer:', error);
+        }
+        addAnnotationToList(annotation);
+    });
+
+    setAnnotationSelection(added.map(annotation => annotation.id));
+}
+
+/**
+ * Union, intersection or difference of the selected annotations
+ */
+function combineSelectedAnnotations(operation) {
+    const selected = getSelectedAreaAnnotations();
+    if (selected.length < 2) {
+        alert('Select at least two area annotations (Shift-click them in the annotation list).');
+        return;
+    }
+
+    let result = parseAnnotationGeometry(selected[0]);
+    for (let i = 1; i < selected.length && result; i++) {
+        result = computeGeometryBoolean(result, parseAnnotationGeometry(selected[i]), operation);
+    }
+
+    if (!result) {
+        alert(operation === 'intersection'
+            ? 'The selected annotations do not overlap.'
+            : 'Nothing would be left of the first selected annotation.');
+        return;
+    }
+
+    const labels = {
+        union: 'Merge annotations',
+        intersection: 'Intersect annotations',
+        difference: 'Subtract annotations'
+    };
+
+    // Subtracted annotations stay, only the first one is cut
+    const removed = operation === 'difference' ? [selected[0]] : selected;
+    const output = createOperationResultAnnotation(selected[0], result, operation);
+    replaceAnnotationsWithResults(labels[operation], removed, [output]);
+
+    console.log(`🔷 ${labels[operation]}: ${selected.length} annotations → ${output.id}`);
+}
+
+/**
+ * Build a polygon covering everything on one side of a cutting line
+ *
+ * The line is extended beyond the shape at both ends and closed with
+ * a wide arc, so it divides the plane around the shape in two.
+ */
+function createLineSideGeometry(points, bounds) {
+    const cx = bounds.x + bounds.width / 2;
+    const cy = bounds.y + bounds.height / 2;
+    const reach = Math.max(
+        Math.hypot(bounds.width, bounds.height) / 2,
+        ...points.map(([x, y]) => Math.hypot(x - cx, y - cy))
+    ) || 1;
+
+    const extend = (from, to) => {
+        const dx = to[0] - from[0];
+        const dy = to[1] - from[1];
+        const length = Math.hypot(dx, dy) || 1;
+        return [to[0] + (dx / length) * reach * 2, to[1] + (dy / length) * reach * 2];
+    };
+
+    const start = extend(points[1], points[0]);
+    const end = extend(points[points.length - 2], points[points.length - 1]);
+    const ring = [start].concat(points, [end]);
+
+    // Arc from the end back to the start, counterclockwise
+    const radius = reach * 4;
+    const endAngle = Math.atan2(end[1] - cy, end[0] - cx);
+    let startAngle = Math.atan2(start[1] - cy, start[0] - cx);
+    if (startAngle <= endAngle) startAngle += 2 * Math.PI;
+
+    const steps = 32;
+    for (let i = 0; i <= steps; i++) {
+        const angle = endAngle + ((startAngle - endAngle) * i) / steps;
+        ring.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+    }
+
+    return { type: 'polygon', rings: [ring] };
+}
+
+/**
+ * Cut an annotation into parts along a line
+ */
+function splitAnnotationByLine(annotation, points) {
+    const geometry = parseAnnotationGeometry(annotation);
+    const side = createLineSideGeometry(points, getGeometryBounds(geometry));
+
+    const parts = [];
+    ['intersection', 'difference'].forEach(operation => {
+        const result = computeGeometryBoolean(geometry, side, operation);
+        convertGeometryToPolygons(result).forEach(rings => parts.push({ type: 'polygon', rings: rings }));
+    });
+
+    if (parts.length < 2) {
+        alert('The line does not cut the annotation into parts. Draw it across the annotation.');
+        return;
+    }
+
+    const outputs = parts.map(part => createOperationResultAnnotation(annotation, part, 'split'));
+    replaceAnnotationsWithResults('Split annotation', [annotation], outputs);
+
+    console.log(`✂️ Split ${annotation.id} into ${outputs.length} parts`);
+}
+
+/**
+ * Let the user draw the cutting line for the selected annotation
+ */
+function startSplitSelectedAnnotation() {
+    const selected = getSelectedAreaAnnotations();
+    if (selected.length !== 1) {
+        alert('Select one area annotation to split.');
+        return;
+    }
+
+    const target = selected[0];
+    const started = startPathDrawing({
+        closed: false,
+        minPoints: 2,
+        onComplete: points => splitAnnotationByLine(target, points)
+    });
+
+    if (started) {
+        console.log('✂️ Draw the cutting line: click to add points, double-click or Enter to finish, Escape to cancel');
+    }
+}
+
+/**
+ * Show how many annotations are selected
+ */
+function updateOperationSelectionStatus() {
+    const status = document.getElementById('geometry-selection-status');
+    if (!status) return;
+
+    const count = getSelectedAnnotationIds().length;
+    status.textContent = count > 1
+        ? `${count} annotations selected`
+        : 'Shift-click annotations in the list to select several';
+}
+
+/**
+ * Initialize the shape operation buttons
+ */
+function initializeAnnotationOperations() {
+    const actions = {
+        'geometry-union': () => combineSelectedAnnotations('union'),
+        'geometry-intersection': () => combineSelectedAnnotations('intersection'),
+        'geometry-difference': () => combineSelectedAnnotations('difference'),
+        'geometry-split': startSplitSelectedAnnotation
+    };
+
+    Object.keys(actions).forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', actions[id]);
+        }
+    });
+
+    updateOperationSelectionStatus();
+    console.log('Annotation operations initialized');
+}
@@ -0,0 +1,118 @@
+/**
+ * Annotation Polarity Module
+ *
+ * Positive annotations mark regions, negative annotations exclude them:
+ * - A negative shape drawn over positive annotations carves holes out of
+ *   them (lumen, artifacts) and is not kept itself
+ * - A negative shape drawn over nothing is kept as an exclusion region
+ * - Negative annotations are styled differently on the overlay and in
+ *   the annotation lists
+ */
+
+/**
+ * Record the polarity selected while an annotation was drawn
+ */
+function stampAnnotationPolarity(annotation) {
+    if (annotation && !annotation.polarity && currentPolarity) {
+        annotation.polarity = currentPolarity;
+    }
+}
+
+/**
+ * Annotorious formatter adding a polarity class to each overlay shape
+ */
+function formatAnnotationPolarity(annotation) {
+    // Annotorious passes its wrapper, the stored JSON is the underlying object
+    const data = annotation.underlying || annotation;
+    return `polarity-${getAnnotationPolarity(data)}`;
+}
+
+/**
+ * Find visible positive annotations whose bounds overlap a shape
+ */
+function findAnnotationsUnderNegative(geometry) {
+    const bounds = getGeometryBounds(geometry);
+    if (!bounds) return [];
+
+    return getUniqueAnnotations(Object.keys(annotations)).filter(annotation => {
+        if (getAnnotationPolarity(annotation) === 'negative' || isAnnotationHidden(annotation)) {
+            return false;
+        }
+        const other = getGeometryBounds(parseAnnotationGeometry(annotation));
+        return other &&
+            other.x <= bounds.x + bounds.width && bounds.x <= other.x + other.width &&
+            other.y <= bounds.y + bounds.height && bounds.y <= other.y + other.height;
+    });
+}
+
+/**
+ * Replace the shape of a stored annotation in the viewer and the lists
+ */
+function replaceAnnotationGeometry(annotation, geometry) {
+    const updated = JSON.parse(JSON.stringify(annotation));
+    updated.target = { ...updated.target, selector: createSelectorFromGeometry(geometry) };
+    recordAnnotationRevision(annotation, updated);
+
+    try {
+        anno?.removeAnnotation(annotation.id);
+        if (isAnnotationShownOnSlide(updated)) {
+            anno?.addAnnotation(updated);
+        }
+    } catch (error) {
+        console.warn('Could not replace annotation in viewer:', error);
+    }
+
+    updateAnnotationInList(updated);
+    return updated;
+}
+
+/**
+ * Carve a new negative annotation out of the positive annotations below it
+ *
+ * Returns true when the negative shape was used up (it is then removed
+ * from the viewer), false when it should be kept as its own annotation.
+ */
+function subtractNegativeAnnotation(annotation) {
+    if (!annotation || getAnnotationPolarity(annotation) !== 'negative') return false;
+
+    const negativeGeometry = parseAnnotationGeometry(annotation);
+    if (getGeometryRings(negativeGeometry).length === 0) return false;
+
+    const before = [];
+    const after = [];
+
+    findAnnotationsUnderNegative(negativeGeometry).forEach(target => {
+        const geometry = parseAnnotationGeometry(target);
+        if (getGeometryRings(geometry).length === 0) return;
+
+        const result = computeGeometryBoolean(geometry, negativeGeometry, 'difference');
+        const previousArea = calculateGeometryMeasurements(geometry).area;
+        const area = result ? calculateGeometryMeasurements(result).area : 0;
+        if (Math.abs(previousArea - area) <= previousArea * 1e-9) return;
+
+        before.push(target);
+        if (result) {
+            after.push(replaceAnnotationGeometry(target, result));
+        } else {
+            // Fully covered by the negative shape
+            try {
+                anno?.removeAnnotation(target.id);
+            } catch (error) {
+                console.warn('Could not remove annotation from viewer:', error);
+            }
+            removeAnnotationFromList(target);
+        }
+    });
+
+    if (before.length === 0) return false;
+
+    try {
+        anno?.removeAnnotation(annotation.id);
+    } catch (error) {
+        console.warn('Could not remove negative shape from viewer:', error);
+    }
+
+    recordAnnotationHistory('Subtract negative region', before, after);
+    console.log(`➖ Negative region subtracted from ${before.length} annotation(s)`);
+    return true;
+}
@@ -0,0 +1,370 @@
+/**
+ * Annotation Properties Module
+ *
+ * Side panel for the selected annotation:
+ * - Name (commenting body), class and further tags (tagging bodies)
+ * - Class color, shared by all annotations of the class
+ * - Free-form key/value metadata (one describing body holding JSON)
+ * - Measurements and provenance of the annotation
+ *
+ * Every field is saved when it changes, as one undo step. Changing the
+ * class or tags moves the annotation between the tag folders.
+ */
+
+const METADATA_BODY_FORMAT = 'application/json';
+
+// Annotation shown in the panel
+let propertiesAnnotationId = null;
+
+// Set while the panel saves its own changes (the panel is not redrawn)
+let propertiesPanelSaving = false;
+
+/**
+ * Check whether a body item holds the annotation name
+ */
+function isAnnotationNameBody(item) {
+    return item.purpose === 'commenting' || (item.type === 'TextualBody' && !item.purpose);
+}
+
+/**
+ * Check whether a body item holds the key/value metadata
+ */
+function isAnnotationMetadataBody(item) {
+    return item.purpose === 'describing' && item.format === METADATA_BODY_FORMAT;
+}
+
+/**
+ * Get the key/value metadata of an annotation
+ */
+function getAnnotationMetadata(annotation) {
+    const item = (annotation.body || []).find(isAnnotationMetadataBody);
+    if (!item) return {};
+
+    try {
+        const metadata = JSON.parse(item.value);
+        return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+    } catch (error) {
+        console.warn('Could not read annotation metadata:', error);
+        return {};
+    }
+}
+
+/**
+ * Build the body of an annotation with changed properties
+ *
+ * properties: { name, tags, metadata }, fields left out keep their
+ * current value. Other bodies (replies, descriptions) are kept.
+ */
+function buildAnnotationBody(annotation, properties) {
+    const body = Array.isArray(annotation.body) ? annotation.body : [];
+    const nameIndex = body.findIndex(isAnnotationNameBody);
+
+    const name = properties.name !== undefined
+        ? properties.name
+        : (nameIndex !== -1 ? body[nameIndex].value : '');
+    const tags = properties.tags !== undefined
+        ? properties.tags
+        : body.filter(item => item.purpose === 'tagging').map(item => item.value);
+    const metadata = properties.metadata !== undefined ? properties.metadata : getAnnotationMetadata(annotation);
+
+    const result = [];
+    if (name) {
+        result.push({ ...(nameIndex !== -1 ? body[nameIndex] : {}), type: 'TextualBody', purpose: 'commenting', value: name });
+    }
+    tags.forEach(tag => {
+        result.push({ type: 'TextualBody', purpose: 'tagging', value: tag });
+    });
+    if (Object.keys(metadata).length > 0) {
+        result.push({ type: 'TextualBody', purpose: 'describing', format: METADATA_BODY_FORMAT, value: JSON.stringify(metadata) });
+    }
+
+    return result.concat(body.filter((item, index) =>
+        index !== nameIndex && item.purpose !== 'tagging' && !isAnnotationMetadataBody(item)
+    ));
+}
+
+/**
+ * Save changed properties of several annotations as one undo step
+ *
+ * getProperties(annotation) returns the properties to change. Returns
+ * the updated annotations.
+ */
+function updateAnnotationsProperties(annotationIds, label, getProperties) {
+    const before = [];
+    const after = [];
+
+    annotationIds.map(findAnnotationInStore).filter(Boolean).forEach(annotation => {
+        const updated = JSON.parse(JSON.stringify(annotation));
+        updated.body = buildAnnotationBody(annotation, getProperties(annotation));
+        if (JSON.stringify(updated.body) === JSON.stringify(annotation.body || [])) return;
+
+        recordAnnotationRevision(annotation, updated);
+        before.push(annotation);
+        after.push(updated);
+    });
+    if (after.length === 0) return [];
+
+    recordAnnotationHistory(label, before, after);
+
+    after.forEach(updated => {
+        // Redraw with the style of the (new) class
+        try {
+            anno?.removeAnnotation(updated.id);
+            if (isAnnotationShownOnSlide(updated)) {
+                anno?.addAnnotation(updated);
+            }
+        } catch (error) {
+            console.warn('Could not update annotation in viewer:', error);
+        }
+        updateAnnotationInList(updated);
+    });
+
+    console.log(`🏷️ ${label}:`, after.map(updated => updated.id));
+    return after;
+}
+
+/**
+ * Save changed properties of the annotation shown in the panel
+ */
+function updateAnnotationProperties(annotationId, label, properties) {
+    propertiesPanelSaving = true;
+    let updated;
+    try {
+        updated = updateAnnotationsProperties([annotationId], label, () => properties);
+    } finally {
+        propertiesPanelSaving = false;
+    }
+
+    // The fields already show the change, only the provenance is behind
+    const provenance = document.querySelector('#annotation-properties .properties-provenance');
+    if (updated.length > 0 && provenance && propertiesAnnotationId === annotationId) {
+        provenance.textContent = formatAnnotationAuditSummary(updated[0]);
+    }
+}
+
+/**
+ * Split a comma separated tag list
+ */
+function parseTagList(value) {
+    const tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+    return tags.filter((tag, index) => tags.indexOf(tag) === index);
+}
+
+/**
+ * Add a labelled row to the panel
+ */
+function addPropertiesRow(panel, label, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'properties-row';
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'properties-label';
+    labelElement.textContent = label;
+    row.appendChild(labelElement);
+
+    controls.forEach(control => row.appendChild(control));
+    panel.appendChild(row);
+    return row;
+}
+
+/**
+ * Create a text field of the panel
+ */
+function createPropertiesInput(value, placeholder) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'properties-input';
+    input.value = value;
+    input.placeholder = placeholder;
+    return input;
+}
+
+/**
+ * Read the metadata rows of the panel ({ key: value })
+ */
+function readMetadataRows(container) {
+    const metadata = {};
+    container.querySelectorAll('.properties-metadata-row').forEach(row => {
+        const [keyInput, valueInput] = row.querySelectorAll('input');
+        const key = keyInput.value.trim();
+        if (key) {
+            metadata[key] = valueInput.value;
+        }
+    });
+    return metadata;
+}
+
+/**
+ * Create a key/value row of the metadata editor
+ */
+function createMetadataRow(container, annotationId, key, value) {
+    const row = document.createElement('div');
+    row.className = 'properties-metadata-row';
+
+    const keyInput = createPropertiesInput(key, 'Key');
+    const valueInput = createPropertiesInput(value, 'Value');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'properties-remove-btn';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove field';
+
+    const save = () => updateAnnotationProperties(annotationId, 'Edit metadata', { metadata: readMetadataRows(container) });
+    keyInput.addEventListener('change', save);
+    valueInput.addEventListener('change', save);
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        save();
+    });
+
+    row.appendChild(keyInput);
+    row.appendChild(valueInput);
+    row.appendChild(removeButton);
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Show the properties of an annotation in the side panel
+ */
+function renderAnnotationProperties(annotation) {
+    const panel = document.getElementById('annotation-properties');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    propertiesAnnotationId = annotation ? annotation.id : null;
+
+    if (!annotation) {
+        panel.textContent = 'Select an annotation to edit its properties';
+        return;
+    }
+
+    const annotationId = annotation.id;
+    const tags = getAnnotationTags(annotation);
+
+    // Name
+    // Read the name body itself, getAnnotationName() falls back to tags
+    const nameBody = (annotation.body || []).find(isAnnotationNameBody);
+    const nameInput = createPropertiesInput(nameBody ? nameBody.value : '', 'Name');
+    nameInput.id = 'properties-name';
+    nameInput.addEventListener('change', () => {
+        updateAnnotationProperties(annotationId, 'Rename annotation', { name: nameInput.value.trim() });
+    });
+    addPropertiesRow(panel, 'Name', nameInput);
+
+    // Class (first tag)
+    const classInput = createPropertiesInput(tags[0] || '', 'Class');
+    classInput.setAttribute('list', 'properties-class-options');
+    const classOptions = document.createElement('datalist');
+    classOptions.id = 'properties-class-options';
+    // A label schema limits the classes to its own
+    (labelSchema ? getLabelSchemaClassNames() : getNonEmptyTags()).forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        classOptions.appendChild(option);
+    });
+
+    addPropertiesRow(panel, 'Class', classInput, classOptions);
+
+    // The color belongs to the class, not to this annotation
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'properties-color';
+    colorInput.value = getClassStyle(tags[0]).color;
+    const colorNote = document.createElement('span');
+    colorNote.className = 'properties-note';
+    const updateColorNote = classTag => {
+        colorInput.disabled = !classTag;
+        colorInput.title = classTag ? `Color of all "${classTag}" annotations` : 'Set a class to choose its color';
+        colorNote.textContent = classTag ? `All "${classTag}" annotations` : 'No class';
+    };
+    updateColorNote(tags[0]);
+    colorInput.addEventListener('change', () => {
+        const classTag = classInput.value.trim();
+        if (classTag) {
+            setClassStyle(classTag, { color: colorInput.value });
+        }
+    });
+    addPropertiesRow(panel, 'Class color', colorInput, colorNote);
+
+    // Further tags
+    const tagsInput = createPropertiesInput(tags.slice(1).join(', '), 'Comma separated');
+    addPropertiesRow(panel, 'Tags', tagsInput);
+
+    const saveTags = () => {
+        const classTag = getCanonicalTag(classInput.value.trim());
+        if (labelSchema && classTag && !getLabelSchemaClass(classTag)) {
+            alert(`"${classTag}" is not a class of the label schema ${labelSchema.name}.`);
+            classInput.value = tags[0] || '';
+            return;
+        }
+        classInput.value = classTag;
+        const allTags = parseTagList([classTag].concat(parseTagList(tagsInput.value).map(getCanonicalTag)).join(','));
+        updateAnnotationProperties(annotationId, 'Change tags', { tags: allTags });
+        colorInput.value = getClassStyle(allTags[0]).color;
+        updateColorNote(allTags[0]);
+    };
+    classInput.addEventListener('change', saveTags);
+    tagsInput.addEventListener('change', saveTags);
+
+    // Key/value metadata
+    const metadataRows = document.createElement('div');
+    metadataRows.className = 'properties-metadata';
+    const metadata = getAnnotationMetadata(annotation);
+    Object.keys(metadata).forEach(key => createMetadataRow(metadataRows, annotationId, key, String(metadata[key])));
+
+    const addButton = document.createElement('button');
+    addButton.className = 'properties-add-btn';
+    addButton.textContent = '+ Add field';
+    addButton.addEventListener('click', () => {
+        createMetadataRow(metadataRows, annotationId, '', '').querySelector('input').focus();
+    });
+    addPropertiesRow(panel, 'Metadata', metadataRows, addButton);
+
+    // Provenance
+    const provenance = document.createElement('div');
+    provenance.className = 'properties-provenance';
+    provenance.textContent = formatAnnotationAuditSummary(annotation);
+    addPropertiesRow(panel, 'Provenance', provenance);
+}
+
+/**
+ * Refresh the panel if it shows the given annotation
+ */
+function refreshAnnotationProperties(annotation) {
+    if (propertiesPanelSaving) return;
+    if (annotation && annotation.id === propertiesAnnotationId) {
+        renderAnnotationProperties(annotation);
+    }
+}
+
+/**
+ * Empty the panel when the annotation it shows is removed
+ *
+ * The ID is kept, so the panel comes back when undo restores it.
+ */
+function clearAnnotationProperties(annotationId) {
+    if (annotationId !== propertiesAnnotationId) return;
+
+    const panel = document.getElementById('annotation-properties');
+    if (panel) {
+        panel.textContent = 'Select an annotation to edit its properties';
+    }
+}
+
+/**
+ * Follow the annotation selection (one annotation at a time)
+ */
+function updatePropertiesForSelection(annotationIds) {
+    const annotationId = annotationIds.length === 1 ? annotationIds[0] : null;
+    if (annotationId === propertiesAnnotationId) return;
+
+    renderAnnotationProperties(annotationId ? findAnnotationInStore(annotationId) : null);
+}
+
+/**
+ * Initialize the properties panel
+ */
+function initializeAnnotationProperties() {
+    renderAnnotationProperties(null);
+    console.log('Annotation properties initialized');
+}
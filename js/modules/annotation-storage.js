@@ -0,0 +1,274 @@
+/**
+ * Annotation Storage Module
+ *
+ * Persists the annotation store in IndexedDB so work survives page
+ * reloads and switching between slides:
+ * - One record per slide, keyed by a fingerprint of name, file size,
+ *   dimensions and a hash of the TIFF header
+ * - Annotations, folders, hidden flags and the µm/px override are saved
+ *   shortly after each change
+ * - Saved annotations are restored when the same slide is opened again
+ * - Saved/unsaved indicator next to the annotation import/export controls
+ */
+
+const ANNOTATION_DB_NAME = 'wsi-annotator';
+const ANNOTATION_DB_VERSION = 1;
+const ANNOTATION_DB_STORE = 'slides';
+
+// Bytes of the file start hashed into the fingerprint (TIFF header and first IFD)
+const SLIDE_HEADER_HASH_BYTES = 64 * 1024;
+
+// Delay before pending changes are written
+const ANNOTATION_SAVE_DELAY = 800;
+
+var currentSlideFingerprint = null;
+let annotationDatabasePromise = null;
+let annotationSaveTimer = null;
+let annotationStoreDirty = false;
+let isRestoringAnnotations = false;
+
+/**
+ * Open (and create on first use) the annotation database
+ */
+function openAnnotationDatabase() {
+    if (annotationDatabasePromise) return annotationDatabasePromise;
+
+    annotationDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(ANNOTATION_DB_NAME, ANNOTATION_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ANNOTATION_DB_STORE)) {
+                db.createObjectStore(ANNOTATION_DB_STORE, { keyPath: 'fingerprint' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    annotationDatabasePromise.catch(() => {
+        annotationDatabasePromise = null;
+    });
+
+    return annotationDatabasePromise;
+}
+
+/**
+ * Run a request against the slide object store
+ */
+async function runAnnotationStoreRequest(mode, createRequest) {
+    const db = await openAnnotationDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ANNOTATION_DB_STORE, mode);
+        const request = createRequest(transaction.objectStore(ANNOTATION_DB_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Hash bytes as a hex string (SHA-256, CRC-32 where WebCrypto is unavailable)
+ */
+async function hashBytes(bytes) {
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return calculateCRC32(bytes).toString(16).padStart(8, '0');
+}
+
+/**
+ * Compute the fingerprint identifying a slide across sessions
+ */
+async function computeSlideFingerprint(file, width, height) {
+    const header = new Uint8Array(await file.slice(0, SLIDE_HEADER_HASH_BYTES).arrayBuffer());
+    const headerHash = await hashBytes(header);
+    return `${file.name}|${file.size}|${width}x${height}|${headerHash}`;
+}
+
+/**
+ * Collect the annotation store as a storable record
+ */
+function serializeAnnotationStore() {
+    const folders = Object.keys(annotations)
+        .filter(tag => annotations[tag].length > 0 || document.getElementById(`shared-${tag}-folder`));
+    const storedAnnotations = getUniqueAnnotations(folders);
+    const hidden = storedAnnotations.filter(isAnnotationHidden).map(annotation => annotation.id);
+
+    return {
+        fingerprint: currentSlideFingerprint,
+        slide: {
+            name: currentSlideFile ? currentSlideFile.name : null,
+            size: currentSlideFile ? currentSlideFile.size : null,
+            width: wsi_width,
+            height: wsi_height
+        },
+        folders: folders,
+        // Plain JSON copies keep the record free of viewer state
+        annotations: JSON.parse(JSON.stringify(storedAnnotations)),
+        hidden: hidden,
+        micronsPerPixel: micronsPerPixelOverride,
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Update the saved/unsaved indicator
+ */
+function updateSaveStatus(state) {
+    const status = document.getElementById('annotation-save-status');
+    if (!status) return;
+
+    const labels = {
+        saved: 'All changes saved',
+        unsaved: 'Unsaved changes',
+        saving: 'Saving…',
+        error: 'Not saved - storage unavailable',
+        none: 'No slide loaded'
+    };
+
+    status.textContent = labels[state] || labels.none;
+    status.className = `save-status save-status-${state}`;
+}
+
+/**
+ * Record that the annotation store changed and schedule a save
+ */
+function markAnnotationStoreDirty() {
+    if (isRestoringAnnotations || !currentSlideFingerprint) return;
+
+    annotationStoreDirty = true;
+    updateSaveStatus('unsaved');
+
+    clearTimeout(annotationSaveTimer);
+    annotationSaveTimer = setTimeout(saveAnnotationStore, ANNOTATION_SAVE_DELAY);
+}
+
+/**
+ * Write the annotation store of the current slide to IndexedDB
+ *
+ * Returns false when the store could not be written.
+ */
+async function saveAnnotationStore() {
+    clearTimeout(annotationSaveTimer);
+    annotationSaveTimer = null;
+
+    if (!currentSlideFingerprint || !annotationStoreDirty) return true;
+
+    const record = serializeAnnotationStore();
+    annotationStoreDirty = false;
+    updateSaveStatus('saving');
+
+    try {
+        await runAnnotationStoreRequest('readwrite', store => store.put(record));
+        // Changes made while writing keep the indicator on unsaved
+        updateSaveStatus(annotationStoreDirty ? 'unsaved' : 'saved');
+        console.log(`💾 Saved ${record.annotations.length} annotations for ${record.slide.name}`);
+        return true;
+    } catch (error) {
+        annotationStoreDirty = true;
+        updateSaveStatus('error');
+        console.error('❌ Could not save annotations:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove all annotations and folders of the previous slide from the UI
+ */
+function clearAnnotationStore() {
+    Object.keys(annotations).forEach(tag => {
+        delete annotations[tag];
+    });
+    document.querySelectorAll('.annotations-folder').forEach(folder => folder.remove());
+    refreshAnnotationFilterStatus();
+}
+
+/**
+ * Save pending changes and detach the store from the current slide
+ *
+ * When saving fails the user decides whether to discard the annotations;
+ * returns false (and keeps them) if the slide should stay open.
+ */
+async function closeSlideAnnotations() {
+    const saved = await saveAnnotationStore();
+    if (!saved && !confirm('The annotations of this slide could not be saved. Open the other slide anyway and discard them? Cancel to stay and export them first.')) {
+        console.warn('⚠️ Slide switch cancelled, annotations not saved');
+        return false;
+    }
+
+    currentSlideFingerprint = null;
+    clearAnnotationStore();
+    setMicronsPerPixelOverride(null);
+    updateSaveStatus('none');
+    return true;
+}
+
+/**
+ * Restore the saved annotations of a slide once it is open
+ */
+async function restoreAnnotationsForSlide(file, width, height) {
+    if (!file) return;
+
+    try {
+        currentSlideFingerprint = await computeSlideFingerprint(file, width, height);
+        const record = await runAnnotationStoreRequest('readonly', store => store.get(currentSlideFingerprint));
+
+        if (!record) {
+            updateSaveStatus('saved');
+            return;
+        }
+
+        isRestoringAnnotations = true;
+        setMicronsPerPixelOverride(record.micronsPerPixel || null);
+        const hidden = new Set(record.hidden || []);
+
+        (record.folders || []).forEach(tag => ensureAnnotationFolder(tag));
+
+        record.annotations.forEach(annotation => {
+            if (!hidden.has(annotation.id) && anno) {
+                try {
+                    anno.addAnnotation(annotation);
+                } catch (error) {
+                    console.warn('Could not add restored annotation to viewer:', error);
+                }
+            }
+            addAnnotationToList(annotation);
+            if (hidden.has(annotation.id)) {
+                setAnnotationHiddenInList(annotation.id);
+            }
+        });
+
+        updateSaveStatus('saved');
+        console.log(`📂 Restored ${record.annotations.length} annotations saved ${record.savedAt}`);
+    } catch (error) {
+        updateSaveStatus('error');
+        console.error('❌ Could not restore annotations:', error);
+    } finally {
+        isRestoringAnnotations = false;
+    }
+}
+
+/**
+ * Initialize annotation persistence
+ */
+function initializeAnnotationStorage() {
+    updateSaveStatus('none');
+
+    // Pending writes may not finish while the page unloads
+    window.addEventListener('beforeunload', function(e) {
+        if (annotationStoreDirty) {
+            saveAnnotationStore();
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    console.log('Annotation storage initialized');
+}
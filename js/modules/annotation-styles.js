@@ -0,0 +1,361 @@
+/**
+ * Annotation Styles Module
+ *
+ * Display style of each annotation class (tag folder):
+ * - Line color, fill opacity, stroke width and dash pattern per class
+ * - Applied to the overlay through the Annotorious formatter; an
+ *   annotation takes the style of its first tag
+ * - Edited from the swatch in each folder header and remembered in
+ *   the browser across slides
+ * - Used for the line and fill colors of every export format, and read
+ *   back from imported files for classes without a style
+ */
+
+const CLASS_STYLES_STORAGE_KEY = 'wsi-annotator-class-styles';
+
+// Colors handed out to classes without a style of their own
+const CLASS_COLOR_PALETTE = [
+    '#30d158', '#0a84ff', '#ff9f0a', '#ff375f',
+    '#bf5af2', '#64d2ff', '#ffd60a', '#ac8e68'
+];
+
+// SVG stroke-dasharray of each dash style (in stroke widths)
+const STROKE_DASH_PATTERNS = {
+    solid: null,
+    dashed: [4, 2],
+    dotted: [1, 2]
+};
+
+const DEFAULT_FILL_OPACITY = 0;
+const DEFAULT_STROKE_WIDTH = 2;
+const MAX_STROKE_WIDTH = 20;
+
+// Styles chosen by the user or read from imports, by class name
+let annotationClassStyles = {};
+
+/**
+ * Palette color for a class, stable for the same class name
+ */
+function getDefaultClassColor(tag) {
+    let hash = 0;
+    for (const char of String(tag)) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return CLASS_COLOR_PALETTE[hash % CLASS_COLOR_PALETTE.length];
+}
+
+/**
+ * Parse a CSS-like color (#rgb, #rrggbb, rgb(), rgba()) or an [r, g, b] array
+ *
+ * Returns { color: '#rrggbb', opacity } or null.
+ */
+function parseStyleColor(value) {
+    if (Array.isArray(value) && value.length >= 3) {
+        return { color: formatHexColor(value), opacity: value.length > 3 ? Number(value[3]) : 1 };
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim().toLowerCase();
+
+    const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return { color: `#${digits}`, opacity: 1 };
+    }
+
+    const rgb = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgb) {
+        return {
+            color: formatHexColor([rgb[1], rgb[2], rgb[3]].map(Number)),
+            opacity: rgb[4] !== undefined ? parseFloat(rgb[4]) : 1
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Format [r, g, b] as #rrggbb
+ */
+function formatHexColor(rgb) {
+    return '#' + rgb.slice(0, 3)
+        .map(c => Math.max(0, Math.min(255, Math.round(Number(c) || 0))).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Split #rrggbb into [r, g, b]
+ */
+function getColorComponents(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Format a color as rgb() (or rgba() with an opacity)
+ */
+function formatRgbColor(color, opacity) {
+    const [r, g, b] = getColorComponents(color);
+    return opacity === undefined ? `rgb(${r},${g},${b})` : `rgba(${r},${g},${b},${opacity})`;
+}
+
+/**
+ * Aperio ImageScope color value (0xBBGGRR) of a color
+ */
+function getImageScopeColorValue(color) {
+    const [r, g, b] = getColorComponents(color);
+    return r + g * 256 + b * 65536;
+}
+
+/**
+ * Color of an Aperio ImageScope color value
+ */
+function parseImageScopeColorValue(value) {
+    const number = parseInt(value, 10);
+    if (!isFinite(number)) return null;
+    return formatHexColor([number & 255, (number >> 8) & 255, (number >> 16) & 255]);
+}
+
+/**
+ * Clean up a style, falling back to the defaults for invalid values
+ */
+function normalizeClassStyle(style, tag) {
+    const parsed = parseStyleColor(style.color);
+    const fillOpacity = Number(style.fillOpacity);
+    const strokeWidth = Number(style.strokeWidth);
+
+    return {
+        color: parsed ? parsed.color : getDefaultClassColor(tag),
+        fillOpacity: isFinite(fillOpacity) ? Math.max(0, Math.min(1, fillOpacity)) : DEFAULT_FILL_OPACITY,
+        strokeWidth: strokeWidth > 0 ? Math.min(strokeWidth, MAX_STROKE_WIDTH) : DEFAULT_STROKE_WIDTH,
+        dash: STROKE_DASH_PATTERNS.hasOwnProperty(style.dash) ? style.dash : 'solid'
+    };
+}
+
+/**
+ * Get the style of a class
+ */
+function getClassStyle(tag) {
+    return normalizeClassStyle(annotationClassStyles[tag] || {}, tag);
+}
+
+/**
+ * Get the style of an annotation (the style of its first tag)
+ */
+function getAnnotationStyle(annotation) {
+    return getClassStyle(getAnnotationTags(annotation)[0]);
+}
+
+/**
+ * Change the style of a class and redraw its annotations
+ */
+function setClassStyle(tag, changes) {
+    annotationClassStyles[tag] = normalizeClassStyle({ ...getClassStyle(tag), ...changes }, tag);
+    storeSettings(CLASS_STYLES_STORAGE_KEY, annotationClassStyles);
+    updateClassStyleSwatches(tag);
+    refreshClassAnnotationStyles(tag);
+}
+
+/**
+ * Go back to the default style of a class
+ */
+function resetClassStyle(tag) {
+    delete annotationClassStyles[tag];
+    storeSettings(CLASS_STYLES_STORAGE_KEY, annotationClassStyles);
+    updateClassStyleSwatches(tag);
+    refreshClassAnnotationStyles(tag);
+}
+
+/**
+ * Take over the style of an imported class unless the class already has one
+ */
+function adoptImportedClassStyle(tag, style) {
+    if (!tag || !style || !style.color || annotationClassStyles[tag]) return;
+
+    annotationClassStyles[tag] = normalizeClassStyle(style, tag);
+    storeSettings(CLASS_STYLES_STORAGE_KEY, annotationClassStyles);
+    updateClassStyleSwatches(tag);
+    console.log(`🎨 Using imported style for ${tag}:`, annotationClassStyles[tag]);
+}
+
+/**
+ * Inline SVG style of a class style
+ */
+function createClassStyleCSS(style) {
+    const declarations = [
+        `stroke:${style.color}`,
+        `stroke-width:${style.strokeWidth}`,
+        `fill:${formatRgbColor(style.color, style.fillOpacity)}`
+    ];
+
+    const pattern = STROKE_DASH_PATTERNS[style.dash];
+    if (pattern) {
+        declarations.push(`stroke-dasharray:${pattern.map(length => length * style.strokeWidth).join(' ')}`);
+    }
+
+    return declarations.join(';');
+}
+
+/**
+ * Annotorious formatter: polarity class and the style of the annotation's class
+ *
+ * Negative annotations keep the polarity look from the stylesheet.
+ */
+function formatAnnotationStyle(annotation) {
+    // Annotorious passes its wrapper, the stored JSON is the underlying object
+    const data = annotation.underlying || annotation;
+    const className = formatAnnotationPolarity(annotation);
+
+    if (getAnnotationPolarity(data) === 'negative') {
+        return className;
+    }
+
+    // Open lines are never filled
+    const style = getAnnotationStyle(data);
+    if (parseAnnotationGeometry(data)?.type === 'polyline') {
+        style.fillOpacity = 0;
+    }
+
+    return {
+        className: className,
+        style: createClassStyleCSS(style)
+    };
+}
+
+/**
+ * Redraw the visible annotations of a class with the current style
+ */
+function refreshClassAnnotationStyles(tag) {
+    if (!anno || !annotations[tag]) return;
+
+    annotations[tag]
+        .filter(isAnnotationShownOnSlide)
+        .forEach(annotation => {
+            try {
+                anno.removeAnnotation(annotation.id);
+                anno.addAnnotation(annotation);
+            } catch (error) {
+                console.warn('Could not restyle annotation:', error);
+            }
+        });
+}
+
+/**
+ * Show the current style on the folder header swatch of a class
+ */
+function updateClassStyleSwatches(tag) {
+    const swatch = document.getElementById(`shared-${tag}-folder`)?.querySelector('.folder-style-btn');
+    if (swatch) {
+        applyClassStyleToSwatch(swatch, tag);
+    }
+}
+
+/**
+ * Draw a class style on a swatch element
+ */
+function applyClassStyleToSwatch(swatch, tag) {
+    const style = getClassStyle(tag);
+    swatch.style.borderColor = style.color;
+    swatch.style.borderStyle = style.dash;
+    swatch.style.background = formatRgbColor(style.color, Math.max(style.fillOpacity, 0.15));
+}
+
+/**
+ * Create the style editor shown below a folder header
+ */
+function createClassStyleEditor(tag) {
+    const style = getClassStyle(tag);
+    const editor = document.createElement('div');
+    editor.className = 'class-style-editor';
+    editor.addEventListener('click', e => e.stopPropagation());
+
+    const addRow = (label, input) => {
+        const row = document.createElement('label');
+        row.className = 'class-style-row';
+        row.textContent = label;
+        row.appendChild(input);
+        editor.appendChild(row);
+        return input;
+    };
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = style.color;
+    addRow('Line color', colorInput).addEventListener('input', () => setClassStyle(tag, { color: colorInput.value }));
+
+    const fillInput = document.createElement('input');
+    fillInput.type = 'range';
+    fillInput.min = 0;
+    fillInput.max = 1;
+    fillInput.step = 0.05;
+    fillInput.value = style.fillOpacity;
+    addRow('Fill opacity', fillInput).addEventListener('input', () => setClassStyle(tag, { fillOpacity: parseFloat(fillInput.value) }));
+
+    const widthInput = document.createElement('input');
+    widthInput.type = 'number';
+    widthInput.min = 0.5;
+    widthInput.max = MAX_STROKE_WIDTH;
+    widthInput.step = 0.5;
+    widthInput.value = style.strokeWidth;
+    addRow('Stroke width', widthInput).addEventListener('change', () => setClassStyle(tag, { strokeWidth: parseFloat(widthInput.value) }));
+
+    const dashSelect = document.createElement('select');
+    Object.keys(STROKE_DASH_PATTERNS).forEach(dash => {
+        const option = document.createElement('option');
+        option.value = dash;
+        option.textContent = dash.charAt(0).toUpperCase() + dash.slice(1);
+        dashSelect.appendChild(option);
+    });
+    dashSelect.value = style.dash;
+    addRow('Line', dashSelect).addEventListener('change', () => setClassStyle(tag, { dash: dashSelect.value }));
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'io-button';
+    resetBtn.textContent = 'Reset style';
+    resetBtn.addEventListener('click', () => {
+        resetClassStyle(tag);
+        editor.replaceWith(createClassStyleEditor(tag));
+    });
+    editor.appendChild(resetBtn);
+
+    return editor;
+}
+
+/**
+ * Open or close the style editor of a folder
+ */
+function toggleClassStyleEditor(tag) {
+    const folder = document.getElementById(`shared-${tag}-folder`);
+    if (!folder) return;
+
+    const existing = folder.querySelector('.class-style-editor');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    folder.querySelector('.folder-header').after(createClassStyleEditor(tag));
+}
+
+/**
+ * Create the style swatch button of a folder header
+ */
+function createClassStyleButton(tag) {
+    const button = document.createElement('button');
+    button.className = 'folder-style-btn';
+    button.title = `Style of ${tag} annotations`;
+    button.addEventListener('click', function(e) {
+        e.stopPropagation();
+        toggleClassStyleEditor(tag);
+    });
+    applyClassStyleToSwatch(button, tag);
+    return button;
+}
+
+/**
+ * Initialize the class style registry
+ */
+function initializeAnnotationStyles() {
+    annotationClassStyles = loadStoredSettings(CLASS_STYLES_STORAGE_KEY, {});
+    console.log(`Annotation styles initialized (${Object.keys(annotationClassStyles).length} saved class styles)`);
+}
@@ -0,0 +1,363 @@
+/**
+ * Annotation Sync Module
+ *
+ * Shares the annotation store of a slide through the /api/annotations
+ * REST API of server.js so several team members can work on one slide:
+ * - Creates, updates and deletes are sent as they happen
+ * - Per-annotation ETags detect edits made by someone else in between
+ * - Other users' changes are pulled periodically
+ * - Without the API (static hosting) annotations stay local only
+ */
+
+const ANNOTATION_API_BASE = 'api/annotations';
+
+// Interval between pulls of other users' changes
+const ANNOTATION_SYNC_INTERVAL = 15000;
+
+var annotationServerSlideId = null;
+let annotationServerAvailable = false;
+let annotationServerETag = null;
+let annotationSyncQueue = Promise.resolve();
+let pendingAnnotationSyncs = 0;
+let annotationSyncTimer = null;
+let isApplyingServerChanges = false;
+
+// Server ETag of each synced annotation
+const annotationServerRevisions = new Map();
+
+/**
+ * Update the server sync indicator
+ */
+function updateSyncStatus(state) {
+    const status = document.getElementById('annotation-sync-status');
+    if (!status) return;
+
+    const labels = {
+        synced: ['Shared with team', 'saved'],
+        syncing: ['Syncing…', 'saving'],
+        conflict: ['Reloaded changes made by someone else', 'unsaved'],
+        error: ['Server sync failed', 'error'],
+        offline: ['Shared store unavailable - local only', 'none'],
+        none: ['', 'none']
+    };
+    const [label, style] = labels[state] || labels.none;
+
+    status.textContent = label;
+    status.className = `save-status save-status-${style}`;
+}
+
+/**
+ * Send a request to the annotation API
+ */
+function annotationApiRequest(method, path, body, headers = {}) {
+    const options = { method: method, headers: { ...headers } };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    return fetch(`${ANNOTATION_API_BASE}/${path}`, options);
+}
+
+/**
+ * Get the API path of an annotation
+ */
+function getAnnotationApiPath(slideId, annotationId) {
+    return `${slideId}/${encodeURIComponent(annotationId)}`;
+}
+
+/**
+ * Create the request body of an annotation
+ */
+function createAnnotationSyncPayload(annotation) {
+    return {
+        annotation: JSON.parse(JSON.stringify(annotation)),
+        tags: getAnnotationTags(annotation)
+    };
+}
+
+/**
+ * Check whether local changes should be sent to the server
+ */
+function shouldSyncAnnotationChanges() {
+    return annotationServerAvailable && !isApplyingServerChanges && !isRestoringAnnotations;
+}
+
+/**
+ * Queue a sync request so requests reach the server in order
+ */
+function enqueueAnnotationSync(task) {
+    pendingAnnotationSyncs++;
+    updateSyncStatus('syncing');
+
+    annotationSyncQueue = annotationSyncQueue
+        .then(task)
+        .then(state => {
+            if (pendingAnnotationSyncs === 1) updateSyncStatus(state || 'synced');
+        })
+        .catch(error => {
+            updateSyncStatus('error');
+            console.error('❌ Annotation sync failed:', error);
+        })
+        .finally(() => {
+            pendingAnnotationSyncs--;
+        });
+}
+
+/**
+ * Send a created or updated annotation to the server
+ */
+function syncAnnotationUpsert(annotation) {
+    if (!shouldSyncAnnotationChanges()) return;
+
+    const slideId = annotationServerSlideId;
+    const payload = createAnnotationSyncPayload(annotation);
+
+    enqueueAnnotationSync(async () => {
+        const revision = annotationServerRevisions.get(annotation.id);
+        let response;
+
+        if (revision) {
+            response = await annotationApiRequest('PUT', getAnnotationApiPath(slideId, annotation.id), payload, { 'If-Match': revision });
+            // Deleted by someone else - keep the local edit
+            if (response.status === 404) {
+                response = await annotationApiRequest('POST', slideId, payload);
+            }
+        } else {
+            response = await annotationApiRequest('POST', slideId, payload);
+        }
+
+        if (response.status === 409 || response.status === 412) {
+            return resolveAnnotationConflict(slideId, annotation.id);
+        }
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+        annotationServerRevisions.set(annotation.id, response.headers.get('ETag'));
+    });
+}
+
+/**
+ * Delete an annotation on the server
+ */
+function syncAnnotationDelete(annotation) {
+    if (!shouldSyncAnnotationChanges()) return;
+
+    const slideId = annotationServerSlideId;
+
+    enqueueAnnotationSync(async () => {
+        const revision = annotationServerRevisions.get(annotation.id);
+        const headers = revision ? { 'If-Match': revision } : {};
+        const response = await annotationApiRequest('DELETE', getAnnotationApiPath(slideId, annotation.id), undefined, headers);
+
+        if (response.status === 412) {
+            return resolveAnnotationConflict(slideId, annotation.id);
+        }
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+        annotationServerRevisions.delete(annotation.id);
+    });
+}
+
+/**
+ * Delete a tag folder and its annotations on the server
+ */
+function syncFolderDeletion(tag) {
+    if (!shouldSyncAnnotationChanges()) return;
+
+    const slideId = annotationServerSlideId;
+
+    enqueueAnnotationSync(async () => {
+        const response = await annotationApiRequest('DELETE', `${slideId}/folders/${encodeURIComponent(tag)}`);
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+        const result = await response.json();
+        result.deleted.forEach(id => annotationServerRevisions.delete(id));
+    });
+}
+
+/**
+ * Replace a local annotation with the server copy after a conflicting edit
+ *
+ * Returns the sync state to show.
+ */
+async function resolveAnnotationConflict(slideId, annotationId) {
+    console.warn('⚠️ Annotation changed on the server by someone else:', annotationId);
+
+    const response = await annotationApiRequest('GET', getAnnotationApiPath(slideId, annotationId));
+    // The slide was closed meanwhile, its sync status is gone with it
+    if (slideId !== annotationServerSlideId) return 'none';
+
+    if (response.status === 404) {
+        removeLocalAnnotation(annotationId);
+    } else if (response.ok) {
+        applyServerEntry(await response.json());
+    } else {
+        throw new Error(`Server responded with ${response.status}`);
+    }
+
+    alert('This annotation was changed by someone else in the meantime. Their version has been loaded.');
+    return 'conflict';
+}
+
+/**
+ * Put the server copy of an annotation into the viewer and the lists
+ */
+function applyServerEntry(entry) {
+    isApplyingServerChanges = true;
+    try {
+        const local = findAnnotationInStore(entry.id);
+        const wasHidden = local ? isAnnotationHidden(local) : false;
+
+        if (local) {
+            try {
+                anno?.removeAnnotation(local.id);
+            } catch (error) {
+                console.warn('Could not remove outdated annotation from viewer:', error);
+            }
+            removeAnnotationFromList(local);
+        }
+
+        if (!wasHidden && anno) {
+            try {
+                anno.addAnnotation(entry.annotation);
+            } catch (error) {
+                console.warn('Could not add server annotation to viewer:', error);
+            }
+        }
+        addAnnotationToList(entry.annotation);
+        if (wasHidden) {
+            setAnnotationHiddenInList(entry.id);
+        }
+
+        annotationServerRevisions.set(entry.id, `"${entry.revision}"`);
+    } finally {
+        isApplyingServerChanges = false;
+    }
+}
+
+/**
+ * Remove an annotation deleted on the server from the viewer and the lists
+ */
+function removeLocalAnnotation(annotationId) {
+    const local = findAnnotationInStore(annotationId);
+    annotationServerRevisions.delete(annotationId);
+    if (!local) return;
+
+    isApplyingServerChanges = true;
+    try {
+        try {
+            anno?.removeAnnotation(annotationId);
+        } catch (error) {
+            console.warn('Could not remove annotation from viewer:', error);
+        }
+        removeAnnotationFromList(local);
+    } finally {
+        isApplyingServerChanges = false;
+    }
+}
+
+/**
+ * Merge the server annotations of the slide into the local store
+ *
+ * The server copy wins for annotations it knows. Local annotations that
+ * were synced before and are gone from the server were deleted by someone
+ * else. Returns the local annotations that were never synced.
+ */
+function applyServerDocument(doc) {
+    const serverIds = new Set();
+    const localOnly = [];
+
+    doc.annotations.forEach(entry => {
+        serverIds.add(entry.id);
+        if (!findAnnotationInStore(entry.id) || annotationServerRevisions.get(entry.id) !== `"${entry.revision}"`) {
+            applyServerEntry(entry);
+        }
+    });
+
+    getUniqueAnnotations(Object.keys(annotations)).forEach(annotation => {
+        if (serverIds.has(annotation.id)) return;
+        if (annotationServerRevisions.has(annotation.id)) {
+            removeLocalAnnotation(annotation.id);
+        } else {
+            localOnly.push(annotation);
+        }
+    });
+    return localOnly;
+}
+
+/**
+ * Pull changes made by other users since the last pull
+ *
+ * Returns the local annotations the server does not know, or null when
+ * the server could not be reached.
+ */
+async function pullServerAnnotations() {
+    const slideId = annotationServerSlideId;
+    if (!slideId) return null;
+
+    const headers = annotationServerETag ? { 'If-None-Match': annotationServerETag } : {};
+    const response = await annotationApiRequest('GET', slideId, undefined, headers);
+
+    // Slide switched while waiting
+    if (slideId !== annotationServerSlideId) return null;
+    if (response.status === 304) return [];
+
+    const isJSON = (response.headers.get('Content-Type') || '').includes('application/json');
+    if (!response.ok || !isJSON) return null;
+
+    annotationServerETag = response.headers.get('ETag');
+    return applyServerDocument(await response.json());
+}
+
+/**
+ * Connect the current slide to the shared annotation store
+ */
+async function connectAnnotationServer() {
+    disconnectAnnotationServer();
+    if (!currentSlideFingerprint) return;
+
+    annotationServerSlideId = (await hashBytes(encodeUTF8(currentSlideFingerprint))).slice(0, 40);
+
+    let localOnly = null;
+    try {
+        localOnly = await pullServerAnnotations();
+    } catch (error) {
+        localOnly = null;
+    }
+    annotationServerAvailable = localOnly !== null;
+
+    if (!annotationServerAvailable) {
+        updateSyncStatus('offline');
+        console.log('🗂️ Annotation server not available - annotations are stored locally only');
+        return;
+    }
+
+    // Upload annotations made offline (restored from the browser store)
+    localOnly.forEach(syncAnnotationUpsert);
+
+    if (pendingAnnotationSyncs === 0) updateSyncStatus('synced');
+    console.log('🗂️ Connected to shared annotation store:', annotationServerSlideId);
+
+    annotationSyncTimer = setInterval(() => {
+        // Local requests in flight would be reported back as remote changes
+        if (pendingAnnotationSyncs > 0) return;
+        pullServerAnnotations().catch(error => {
+            console.warn('Could not pull annotation changes:', error);
+        });
+    }, ANNOTATION_SYNC_INTERVAL);
+}
+
+/**
+ * Stop syncing the current slide
+ */
+function disconnectAnnotationServer() {
+    clearInterval(annotationSyncTimer);
+    annotationSyncTimer = null;
+    annotationServerAvailable = false;
+    annotationServerSlideId = null;
+    annotationServerETag = null;
+    annotationServerRevisions.clear();
+    updateSyncStatus('none');
+}
@@ -0,0 +1,302 @@
+/**
+ * Brush Tool Module
+ *
+ * Painting and erasing of area annotations:
+ * - The brush paints a filled stroke that is merged into the selected
+ *   annotation, or starts a new annotation when none is selected
+ * - The eraser cuts the stroke out of the selected annotation
+ * - Brush radius in screen pixels (at the zoom the stroke starts) or µm
+ * - Each stroke is one undo step
+ */
+
+const BRUSH_SETTINGS_STORAGE_KEY = 'wsi-annotator-brush-settings';
+
+// Vertices of the round stroke ends
+const BRUSH_CIRCLE_SEGMENTS = 24;
+
+// Stroke samples closer than this fraction of the radius are skipped
+const BRUSH_SAMPLE_SPACING = 0.3;
+
+let brushSettings = {
+    radius: 10,
+    unit: 'screen'
+};
+
+// Active brush ({ erase, handlers, layer, stroke, ... })
+let activeBrush = null;
+
+/**
+ * Brush radius in WSI pixels at the current zoom (null if not available)
+ */
+function getBrushRadiusPixels() {
+    if (brushSettings.unit === 'micron') {
+        const mpp = getMicronsPerPixel();
+        return mpp ? brushSettings.radius / mpp : null;
+    }
+    return brushSettings.radius / viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+}
+
+/**
+ * Outline of a stroke segment with round ends (a single point gives a circle)
+ */
+function createBrushSegmentRing(start, end, radius) {
+    const angle = Math.atan2(end[1] - start[1], end[0] - start[0]);
+    const half = BRUSH_CIRCLE_SEGMENTS / 2;
+    const ring = [];
+
+    // Half circle around the end, then around the start
+    [[end, angle - Math.PI / 2], [start, angle + Math.PI / 2]].forEach(([center, from]) => {
+        for (let i = 0; i <= half; i++) {
+            const a = from + (Math.PI * i) / half;
+            ring.push([center[0] + radius * Math.cos(a), center[1] + radius * Math.sin(a)]);
+        }
+    });
+
+    return ring;
+}
+
+/**
+ * Filled area covered by a brush stroke
+ */
+function createBrushStrokeGeometry(points, radius) {
+    if (points.length === 0) return null;
+
+    const segments = points.length === 1
+        ? [createBrushSegmentRing(points[0], points[0], radius)]
+        : points.slice(1).map((point, i) => createBrushSegmentRing(points[i], point, radius));
+
+    // Merge pairwise so every union stays small
+    let shapes = segments.map(ring => ({ type: 'polygon', rings: [ring] }));
+    while (shapes.length > 1) {
+        const merged = [];
+        for (let i = 0; i < shapes.length; i += 2) {
+            merged.push(i + 1 < shapes.length
+                ? computeGeometryBoolean(shapes[i], shapes[i + 1], 'union') || shapes[i]
+                : shapes[i]);
+        }
+        shapes = merged;
+    }
+
+    return shapes[0];
+}
+
+/**
+ * Get the annotation the brush paints into (the single selected area annotation)
+ */
+function getBrushTargetAnnotation() {
+    const selected = getSelectedAreaAnnotations();
+    return selected.length === 1 ? selected[0] : null;
+}
+
+/**
+ * Merge a stroke into the target annotation or cut it out
+ */
+function applyBrushStroke(stroke, erase) {
+    const target = getBrushTargetAnnotation();
+
+    if (!target) {
+        if (!erase) {
+            addDrawnAnnotation(stroke, 'brush');
+        }
+        return;
+    }
+
+    const result = computeGeometryBoolean(parseAnnotationGeometry(target), stroke, erase ? 'difference' : 'union');
+
+    if (!result) {
+        // Everything was erased
+        recordAnnotationHistory('Erase annotation', [target], []);
+        try {
+            anno.removeAnnotation(target.id);
+        } catch (error) {
+            console.warn('Could not remove annotation from viewer:', error);
+        }
+        removeAnnotationFromList(target);
+        return;
+    }
+
+    const updated = replaceAnnotationGeometry(target, result);
+    recordAnnotationHistory(erase ? 'Erase' : 'Brush stroke', [target], [updated]);
+    setAnnotationSelection([updated.id]);
+}
+
+/**
+ * Draw the stroke in progress and the brush outline under the mouse
+ */
+function renderBrushPreview() {
+    if (!activeBrush) return;
+
+    const { layer, stroke, hoverPoint } = activeBrush;
+    layer.innerHTML = '';
+
+    const imageZoom = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+
+    if (stroke) {
+        const screenPoints = stroke.points.map(getViewerElementPoint);
+        const line = document.createElementNS(SVG_NAMESPACE, 'polyline');
+        // Repeat a single point so the round caps draw a dot
+        const drawn = screenPoints.length === 1 ? screenPoints.concat(screenPoints) : screenPoints;
+        line.setAttribute('points', drawn.map(p => `${p.x},${p.y}`).join(' '));
+        line.setAttribute('class', `brush-stroke ${activeBrush.erase ? 'brush-stroke-erase' : ''}`);
+        line.setAttribute('stroke-width', stroke.radius * 2 * imageZoom);
+        layer.appendChild(line);
+    }
+
+    const radius = getBrushRadiusPixels();
+    if (hoverPoint && radius) {
+        const center = getViewerElementPoint(hoverPoint);
+        const outline = document.createElementNS(SVG_NAMESPACE, 'circle');
+        outline.setAttribute('cx', center.x);
+        outline.setAttribute('cy', center.y);
+        outline.setAttribute('r', radius * imageZoom);
+        outline.setAttribute('class', 'brush-outline');
+        layer.appendChild(outline);
+    }
+}
+
+/**
+ * Start painting with the brush or the eraser
+ */
+function startBrushTool(erase) {
+    stopBrushTool();
+    if (!viewer) return;
+
+    const layer = document.createElementNS(SVG_NAMESPACE, 'svg');
+    layer.setAttribute('class', 'path-drawing-layer');
+    viewer.element.appendChild(layer);
+
+    const brush = {
+        erase: erase,
+        layer: layer,
+        stroke: null,
+        hoverPoint: null,
+        selectWasDisabled: anno ? anno.disableSelect : false
+    };
+
+    brush.onPress = event => {
+        const radius = getBrushRadiusPixels();
+        if (!radius) {
+            alert('The slide resolution is unknown. Enter the µm/px in View Info or set the brush radius in screen pixels.');
+            return;
+        }
+        if (erase && !getBrushTargetAnnotation()) {
+            alert('Select the annotation to erase from in the annotation list.');
+            return;
+        }
+        brush.stroke = { radius: radius, points: [getViewerImagePoint(event.position)] };
+        renderBrushPreview();
+    };
+    brush.onDrag = event => {
+        // Paint instead of panning
+        event.preventDefaultAction = true;
+        if (!brush.stroke) return;
+
+        const point = getViewerImagePoint(event.position);
+        const last = brush.stroke.points[brush.stroke.points.length - 1];
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= brush.stroke.radius * BRUSH_SAMPLE_SPACING) {
+            brush.stroke.points.push(point);
+        }
+        brush.hoverPoint = point;
+        renderBrushPreview();
+    };
+    brush.onRelease = () => {
+        const stroke = brush.stroke;
+        brush.stroke = null;
+        if (stroke) {
+            applyBrushStroke(createBrushStrokeGeometry(stroke.points, stroke.radius), erase);
+        }
+        renderBrushPreview();
+    };
+    brush.onClick = event => {
+        // No zoom on click while painting
+        event.preventDefaultAction = true;
+    };
+    brush.onViewportChange = () => renderBrushPreview();
+    brush.onMouseMove = event => {
+        const rect = viewer.element.getBoundingClientRect();
+        brush.hoverPoint = getViewerImagePoint(new OpenSeadragon.Point(event.clientX - rect.left, event.clientY - rect.top));
+        renderBrushPreview();
+    };
+    brush.onMouseLeave = () => {
+        brush.hoverPoint = null;
+        renderBrushPreview();
+    };
+
+    viewer.addHandler('canvas-press', brush.onPress);
+    viewer.addHandler('canvas-drag', brush.onDrag);
+    viewer.addHandler('canvas-release', brush.onRelease);
+    viewer.addHandler('canvas-click', brush.onClick);
+    viewer.addHandler('update-viewport', brush.onViewportChange);
+    viewer.element.addEventListener('mousemove', brush.onMouseMove);
+    viewer.element.addEventListener('mouseleave', brush.onMouseLeave);
+
+    // Presses must paint rather than draw or select annotations
+    if (anno) {
+        anno.setDrawingEnabled(false);
+        anno.disableSelect = true;
+    }
+    viewer.element.classList.add('brush-tool-active');
+
+    activeBrush = brush;
+    console.log(`🖌️ ${erase ? 'Eraser' : 'Brush'} active`);
+}
+
+/**
+ * Stop painting and remove the brush handlers
+ */
+function stopBrushTool() {
+    const brush = activeBrush;
+    if (!brush) return;
+    activeBrush = null;
+
+    viewer.removeHandler('canvas-press', brush.onPress);
+    viewer.removeHandler('canvas-drag', brush.onDrag);
+    viewer.removeHandler('canvas-release', brush.onRelease);
+    viewer.removeHandler('canvas-click', brush.onClick);
+    viewer.removeHandler('update-viewport', brush.onViewportChange);
+    viewer.element.removeEventListener('mousemove', brush.onMouseMove);
+    viewer.element.removeEventListener('mouseleave', brush.onMouseLeave);
+    brush.layer.remove();
+    viewer.element.classList.remove('brush-tool-active');
+
+    if (anno) {
+        anno.disableSelect = brush.selectWasDisabled;
+    }
+    console.log('🖌️ Brush stopped');
+}
+
+/**
+ * Initialize the brush radius controls
+ */
+function initializeBrushTool() {
+    brushSettings = loadStoredSettings(BRUSH_SETTINGS_STORAGE_KEY, brushSettings);
+
+    const radiusInput = document.getElementById('brush-radius');
+    const unitSelect = document.getElementById('brush-radius-unit');
+
+    if (radiusInput) {
+        radiusInput.value = brushSettings.radius;
+        radiusInput.addEventListener('change', () => {
+            const value = parseFloat(radiusInput.value);
+            if (!(value > 0)) {
+                alert('Please enter a brush radius greater than 0.');
+                radiusInput.value = brushSettings.radius;
+                return;
+            }
+            brushSettings.radius = value;
+            storeSettings(BRUSH_SETTINGS_STORAGE_KEY, brushSettings);
+            renderBrushPreview();
+        });
+    }
+
+    if (unitSelect) {
+        unitSelect.value = brushSettings.unit;
+        unitSelect.addEventListener('change', () => {
+            brushSettings.unit = unitSelect.value;
+            storeSettings(BRUSH_SETTINGS_STORAGE_KEY, brushSettings);
+            renderBrushPreview();
+        });
+    }
+
+    console.log('Brush tool initialized');
+}
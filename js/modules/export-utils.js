@@ -0,0 +1,223 @@
+/**
+ * Export Utilities Module
+ *
+ * Binary file writers used by the dataset exports:
+ * - CRC-32 checksums
+ * - ZIP archives (stored, no compression)
+ * - Tiled 8-bit grayscale TIFF images
+ * - PNG encoding of label buffers through a canvas
+ */
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate CRC-32 of a byte array
+ */
+function calculateCRC32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a string as UTF-8 bytes
+ */
+function encodeUTF8(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Create a ZIP archive blob from files ({ name, data: Uint8Array | string })
+ *
+ * Entries are stored without compression - image payloads are already
+ * compressed and this keeps the writer small.
+ */
+function createZipBlob(files) {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encodeUTF8(file.name);
+        const data = typeof file.data === 'string' ? encodeUTF8(file.data) : file.data;
+        const crc = calculateCRC32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true);   // Local file header signature
+        localHeader.setUint16(4, 20, true);           // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true);       // UTF-8 file names
+        localHeader.setUint16(8, 0, true);            // Stored
+        localHeader.setUint16(10, 0, true);           // Modification time
+        localHeader.setUint16(12, 0x21, true);        // Modification date (1980-01-01)
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // Central directory signature
+        centralHeader.setUint16(4, 20, true);         // Version made by
+        centralHeader.setUint16(6, 20, true);         // Version needed to extract
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, 0, true);
+        centralHeader.setUint16(14, 0x21, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true);    // Offset of local header
+
+        parts.push(localHeader, nameBytes, data);
+        centralDirectory.push(centralHeader, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);               // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Create a tiled, uncompressed 8-bit grayscale TIFF from a pixel buffer
+ */
+function createTiledTiffBlob(pixels, width, height, tileSize = 256) {
+    const tilesAcross = Math.ceil(width / tileSize);
+    const tilesDown = Math.ceil(height / tileSize);
+    const tileCount = tilesAcross * tilesDown;
+    const tileBytes = tileSize * tileSize;
+
+    // IFD entries: tag, type (3 = SHORT, 4 = LONG), count, value
+    const entries = [
+        [256, 4, 1, width],        // ImageWidth
+        [257, 4, 1, height],       // ImageLength
+        [258, 3, 1, 8],            // BitsPerSample
+        [259, 3, 1, 1],            // Compression: none
+        [262, 3, 1, 1],            // PhotometricInterpretation: BlackIsZero
+        [277, 3, 1, 1],            // SamplesPerPixel
+        [284, 3, 1, 1],            // PlanarConfiguration: chunky
+        [322, 3, 1, tileSize],     // TileWidth
+        [323, 3, 1, tileSize],     // TileLength
+        [324, 4, tileCount, null], // TileOffsets
+        [325, 4, tileCount, null]  // TileByteCounts
+    ];
+
+    const ifdOffset = 8;
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const offsetsArrayOffset = ifdOffset + ifdSize;
+    const countsArrayOffset = offsetsArrayOffset + tileCount * 4;
+    const dataOffset = countsArrayOffset + tileCount * 4;
+
+    const header = new DataView(new ArrayBuffer(dataOffset));
+    header.setUint16(0, 0x4949, true);                // Little-endian ("II")
+    header.setUint16(2, 42, true);
+    header.setUint32(4, ifdOffset, true);
+
+    header.setUint16(ifdOffset, entries.length, true);
+    entries.forEach(([tag, type, count, value], i) => {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        header.setUint16(entryOffset, tag, true);
+        header.setUint16(entryOffset + 2, type, true);
+        header.setUint32(entryOffset + 4, count, true);
+
+        if (tag === 324 || tag === 325) {
+            if (count === 1) {
+                header.setUint32(entryOffset + 8, tag === 324 ? dataOffset : tileBytes, true);
+            } else {
+                header.setUint32(entryOffset + 8, tag === 324 ? offsetsArrayOffset : countsArrayOffset, true);
+            }
+        } else if (type === 3) {
+            header.setUint16(entryOffset + 8, value, true);
+        } else {
+            header.setUint32(entryOffset + 8, value, true);
+        }
+    });
+    header.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // No next IFD
+
+    if (tileCount > 1) {
+        for (let t = 0; t < tileCount; t++) {
+            header.setUint32(offsetsArrayOffset + t * 4, dataOffset + t * tileBytes, true);
+            header.setUint32(countsArrayOffset + t * 4, tileBytes, true);
+        }
+    }
+
+    const tiles = [];
+    for (let ty = 0; ty < tilesDown; ty++) {
+        for (let tx = 0; tx < tilesAcross; tx++) {
+            // Edge tiles are padded with background
+            const tile = new Uint8Array(tileBytes);
+            const x0 = tx * tileSize;
+            const y0 = ty * tileSize;
+            const rowLength = Math.min(tileSize, width - x0);
+            const rows = Math.min(tileSize, height - y0);
+            for (let row = 0; row < rows; row++) {
+                const start = (y0 + row) * width + x0;
+                tile.set(pixels.subarray(start, start + rowLength), row * tileSize);
+            }
+            tiles.push(tile);
+        }
+    }
+
+    return new Blob([header, ...tiles], { type: 'image/tiff' });
+}
+
+/**
+ * Encode an 8-bit label buffer as grayscale PNG bytes
+ *
+ * Pixels are written opaque through putImageData, so the PNG encoder of
+ * the canvas keeps label values exact.
+ */
+async function encodeLabelBufferAsPNG(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    for (let i = 0; i < pixels.length; i++) {
+        const value = pixels[i];
+        imageData.data[i * 4] = value;
+        imageData.data[i * 4 + 1] = value;
+        imageData.data[i * 4 + 2] = value;
+        imageData.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return encodeCanvasAsBytes(canvas, 'image/png');
+}
+
+/**
+ * Encode a canvas into image file bytes
+ */
+function encodeCanvasAsBytes(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Could not encode canvas'));
+                return;
+            }
+            blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, mimeType, quality);
+    });
+}
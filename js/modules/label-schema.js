@@ -0,0 +1,331 @@
+/**
+ * Label Schema Module
+ *
+ * Project label taxonomy, so tag folders do not fragment into
+ * "Tumor", "tumour" and "tumor ":
+ * - A schema JSON lists the classes with color, aliases, number hotkey
+ *   and child classes
+ * - While a schema is loaded the annotation popup offers only its
+ *   classes and number keys assign a class to the selected annotations
+ * - Tags are mapped to the canonical class names (case, spacing and
+ *   aliases) by getAnnotationTags, so folders and exports agree
+ * - The schema is remembered in the browser until it is cleared
+ *
+ * Schema file:
+ * {
+ *   "name": "Tumor project",
+ *   "classes": [
+ *     { "name": "Tumor", "color": "#ff375f", "hotkey": 1, "aliases": ["tumour"],
+ *       "children": [{ "name": "Tumor necrosis", "hotkey": 2 }] },
+ *     { "name": "Stroma", "color": "#30d158", "hotkey": 3 }
+ *   ]
+ * }
+ */
+
+const LABEL_SCHEMA_STORAGE_KEY = 'wsi-annotator-label-schema';
+
+// Loaded schema ({ name, classes }), classes flattened in schema order
+let labelSchema = null;
+
+// Canonical class name by normalized class name or alias
+let labelSchemaLookup = new Map();
+
+/**
+ * Normalize a tag for comparison (case and spacing)
+ */
+function normalizeLabelKey(tag) {
+    return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Parse and check a label schema
+ *
+ * Accepts { name, classes } or a plain class array; a class is a name
+ * or { name, color, hotkey, aliases, children }. Throws on errors.
+ */
+function parseLabelSchema(data) {
+    const classList = Array.isArray(data) ? data : data && data.classes;
+    if (!Array.isArray(classList) || classList.length === 0) {
+        throw new Error('The schema has no classes');
+    }
+
+    const classes = [];
+    const names = new Set();
+    const hotkeys = new Set();
+
+    const addClass = (entry, parent, depth) => {
+        const item = typeof entry === 'string' ? { name: entry } : entry;
+        const name = item && typeof item.name === 'string' ? item.name.trim().replace(/\s+/g, ' ') : '';
+        if (!name) {
+            throw new Error('Every class needs a name');
+        }
+
+        const aliases = Array.isArray(item.aliases) ? item.aliases.map(String) : [];
+        [name].concat(aliases).forEach(label => {
+            const key = normalizeLabelKey(label);
+            if (names.has(key)) {
+                throw new Error(`"${label}" is used by more than one class`);
+            }
+            names.add(key);
+        });
+
+        let hotkey = null;
+        if (item.hotkey !== undefined && item.hotkey !== null) {
+            hotkey = String(item.hotkey);
+            if (!/^[0-9]$/.test(hotkey)) {
+                throw new Error(`Hotkey of "${name}" must be a digit (0-9)`);
+            }
+            if (hotkeys.has(hotkey)) {
+                throw new Error(`Hotkey ${hotkey} is used by more than one class`);
+            }
+            hotkeys.add(hotkey);
+        }
+
+        const color = item.color !== undefined ? parseStyleColor(item.color) : null;
+        if (item.color !== undefined && !color) {
+            throw new Error(`Color of "${name}" is not a valid color`);
+        }
+
+        classes.push({
+            name: name,
+            color: color ? color.color : null,
+            hotkey: hotkey,
+            aliases: aliases,
+            parent: parent,
+            depth: depth
+        });
+
+        (Array.isArray(item.children) ? item.children : []).forEach(child => addClass(child, name, depth + 1));
+    };
+
+    classList.forEach(entry => addClass(entry, null, 0));
+
+    return {
+        name: data && typeof data.name === 'string' ? data.name : 'Label schema',
+        classes: classes
+    };
+}
+
+/**
+ * Get the canonical class name of a tag
+ *
+ * Tags outside the schema (or without a schema) are returned as they are.
+ */
+function getCanonicalTag(tag) {
+    if (!labelSchema) return tag;
+    return labelSchemaLookup.get(normalizeLabelKey(tag)) || tag;
+}
+
+/**
+ * Get a schema class by name or alias (null when not in the schema)
+ */
+function getLabelSchemaClass(tag) {
+    if (!labelSchema) return null;
+    const name = labelSchemaLookup.get(normalizeLabelKey(tag));
+    return name ? labelSchema.classes.find(item => item.name === name) : null;
+}
+
+/**
+ * Get the names of the schema classes (empty without a schema)
+ */
+function getLabelSchemaClassNames() {
+    return labelSchema ? labelSchema.classes.map(item => item.name) : [];
+}
+
+/**
+ * Popup widgets: a class picker with a schema, free text tags without
+ */
+function getAnnotationWidgets() {
+    return labelSchema ? ['COMMENT', createLabelSchemaWidget] : ['COMMENT', 'TAG'];
+}
+
+/**
+ * Annotorious popup widget offering only the schema classes
+ */
+function createLabelSchemaWidget(args) {
+    const bodies = args.annotation ? args.annotation.bodies : [];
+    const tagBodies = bodies.filter(body => body.purpose === 'tagging');
+    const classBody = tagBodies.find(body => getLabelSchemaClass(body.value)) || tagBodies[0];
+    const current = classBody ? getCanonicalTag(classBody.value) : null;
+
+    const container = document.createElement('div');
+    container.className = 'label-schema-widget';
+
+    labelSchema.classes.forEach(item => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'label-schema-option' + (item.name === current ? ' selected' : '');
+        button.style.marginLeft = `${item.depth * 12}px`;
+        button.style.borderLeftColor = getClassStyle(item.name).color;
+        button.textContent = item.hotkey !== null ? `${item.hotkey} · ${item.name}` : item.name;
+        button.disabled = !!args.readOnly;
+
+        button.addEventListener('click', () => {
+            const body = { type: 'TextualBody', purpose: 'tagging', value: item.name };
+            if (classBody) {
+                args.onUpdateBody(classBody, body);
+            } else {
+                args.onAppendBody(body);
+            }
+        });
+        container.appendChild(button);
+    });
+
+    return container;
+}
+
+/**
+ * Assign a schema class to the selected annotations
+ *
+ * The class replaces the first tag, further tags are kept.
+ */
+function assignLabelClass(className) {
+    const annotationIds = getSelectedAnnotationIds();
+    if (annotationIds.length === 0) return false;
+
+    updateAnnotationsProperties(annotationIds, 'Assign class', annotation => {
+        const tags = (annotation.body || [])
+            .filter(item => item.purpose === 'tagging')
+            .map(item => getCanonicalTag(item.value));
+        const rest = getLabelSchemaClass(tags[0]) ? tags.slice(1) : tags;
+        return { tags: [className].concat(rest.filter(tag => tag !== className)) };
+    });
+    return true;
+}
+
+/**
+ * Assign the class of a number hotkey (returns false when unused)
+ */
+function assignLabelClassByHotkey(key) {
+    if (!labelSchema) return false;
+
+    const item = labelSchema.classes.find(schemaClass => schemaClass.hotkey === key);
+    return item ? assignLabelClass(item.name) : false;
+}
+
+/**
+ * Show the schema name and its classes in the sidebar
+ */
+function renderLabelSchema() {
+    const status = document.getElementById('label-schema-status');
+    const list = document.getElementById('label-schema-classes');
+
+    if (status) {
+        status.textContent = labelSchema
+            ? `${labelSchema.name} (${labelSchema.classes.length} classes)`
+            : 'No schema, tags are free text';
+    }
+    if (!list) return;
+
+    list.innerHTML = '';
+    (labelSchema ? labelSchema.classes : []).forEach(item => {
+        const row = document.createElement('button');
+        row.className = 'label-schema-class';
+        row.style.paddingLeft = `${8 + item.depth * 12}px`;
+        row.title = `Assign ${item.name} to the selected annotations`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'label-schema-swatch';
+        swatch.style.background = getClassStyle(item.name).color;
+
+        const hotkey = document.createElement('span');
+        hotkey.className = 'label-schema-hotkey';
+        hotkey.textContent = item.hotkey !== null ? item.hotkey : '';
+
+        row.appendChild(swatch);
+        row.appendChild(hotkey);
+        row.appendChild(document.createTextNode(item.name));
+        row.addEventListener('click', () => assignLabelClass(item.name));
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Regroup the tag folders after the schema changed
+ */
+function regroupAnnotationFolders() {
+    getUniqueAnnotations(Object.keys(annotations)).forEach(annotation => {
+        moveAnnotationToTagFolders(annotation, getAnnotationTags(annotation));
+    });
+}
+
+/**
+ * Use a label schema (null goes back to free text tags)
+ */
+function applyLabelSchema(schema) {
+    labelSchema = schema;
+    labelSchemaLookup = new Map();
+
+    (schema ? schema.classes : []).forEach(item => {
+        [item.name].concat(item.aliases).forEach(label => labelSchemaLookup.set(normalizeLabelKey(label), item.name));
+        if (item.color) {
+            setClassStyle(item.name, { color: item.color });
+        }
+    });
+
+    if (anno) {
+        anno.widgets = getAnnotationWidgets();
+    }
+    regroupAnnotationFolders();
+    renderLabelSchema();
+}
+
+/**
+ * Load a label schema file and remember it
+ */
+async function loadLabelSchemaFile(file) {
+    try {
+        const text = await file.text();
+        const schema = parseLabelSchema(JSON.parse(text));
+        applyLabelSchema(schema);
+        localStorage.setItem(LABEL_SCHEMA_STORAGE_KEY, text);
+        console.log(`🏷️ Loaded label schema ${schema.name} with ${schema.classes.length} classes`);
+    } catch (error) {
+        console.error('❌ Label schema failed:', error);
+        alert(`Could not load label schema ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Go back to free text tags
+ */
+function clearLabelSchema() {
+    applyLabelSchema(null);
+    localStorage.removeItem(LABEL_SCHEMA_STORAGE_KEY);
+    console.log('🏷️ Label schema cleared');
+}
+
+/**
+ * Initialize the label schema controls and the saved schema
+ */
+function initializeLabelSchema() {
+    try {
+        const saved = localStorage.getItem(LABEL_SCHEMA_STORAGE_KEY);
+        if (saved) {
+            applyLabelSchema(parseLabelSchema(JSON.parse(saved)));
+        }
+    } catch (error) {
+        console.warn('Could not read the saved label schema:', error);
+    }
+    renderLabelSchema();
+
+    const loadButton = document.getElementById('label-schema-load');
+    const clearButton = document.getElementById('label-schema-clear');
+    const input = document.getElementById('label-schema-input');
+
+    if (loadButton && input) {
+        loadButton.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                loadLabelSchemaFile(input.files[0]);
+            }
+            // Allow loading the same file again
+            input.value = '';
+        });
+    }
+    if (clearButton) {
+        clearButton.addEventListener('click', clearLabelSchema);
+    }
+
+    console.log('Label schema initialized');
+}
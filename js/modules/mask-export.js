@@ -0,0 +1,286 @@
+/**
+ * Label Mask Export Module
+ *
+ * Rasterizes visible annotations into label masks for training
+ * segmentation models:
+ * - One class index per tag folder (0 is background)
+ * - Whole slide, current viewport or selected annotation as region
+ * - Chosen downsample (pyramid level) of the WSI
+ * - PNG (PNG tiles in a ZIP for large extents) or tiled TIFF output
+ * - JSON class legend next to the mask
+ *
+ * Negative-polarity annotations and polygon holes are written as
+ * background, so exclusions carve out of positive regions.
+ */
+
+// Largest PNG edge written as a single image; larger masks are tiled
+const MASK_PNG_MAX_SIZE = 8192;
+
+// Upper limit of mask pixels held in memory
+const MASK_MAX_PIXELS = 256 * 1024 * 1024;
+
+/**
+ * Get the WSI region to rasterize
+ */
+function getMaskRegion(regionType) {
+    if (regionType === 'viewport') {
+        const bounds = getCurrentViewportBounds();
+        if (!bounds) return null;
+        return clampRegionToSlide(bounds);
+    }
+
+    if (regionType === 'selection') {
+        const selected = anno?.getSelected();
+        const selectedAnnotation = Array.isArray(selected) ? selected[0] : selected;
+        if (!selectedAnnotation) {
+            alert('Select an annotation to use as region of interest.');
+            return null;
+        }
+
+        const bounds = getGeometryBounds(parseAnnotationGeometry(selectedAnnotation));
+        if (!bounds) {
+            alert('Could not determine bounds of the selected annotation.');
+            return null;
+        }
+        return clampRegionToSlide(bounds);
+    }
+
+    return { x: 0, y: 0, width: wsi_width, height: wsi_height };
+}
+
+/**
+ * Clamp a region to the slide extent
+ */
+function clampRegionToSlide(region) {
+    const x = Math.max(0, Math.floor(region.x));
+    const y = Math.max(0, Math.floor(region.y));
+    const right = Math.min(wsi_width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(wsi_height, Math.ceil(region.y + region.height));
+    return { x: x, y: y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+/**
+ * Get tag folders with visible annotations in export order
+ */
+function getMaskClasses() {
+    return getNonEmptyTags()
+        .filter(tag => annotations[tag].some(isAnnotationShownOnSlide))
+        .map((tag, index) => ({ index: index + 1, name: tag }));
+}
+
+/**
+ * Fill rings into a label buffer with the even-odd rule (no antialiasing)
+ */
+function fillRingsIntoMask(mask, width, height, rings, value) {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    rings.forEach(ring => ring.forEach(([, y]) => {
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    }));
+
+    const startRow = Math.max(0, Math.floor(minY));
+    const endRow = Math.min(height - 1, Math.ceil(maxY));
+
+    for (let row = startRow; row <= endRow; row++) {
+        // Sample at pixel centers
+        const sampleY = row + 0.5;
+        const crossings = [];
+
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > sampleY) !== (yj > sampleY)) {
+                    crossings.push(xi + (sampleY - yi) * (xj - xi) / (yj - yi));
+                }
+            }
+        });
+
+        crossings.sort((a, b) => a - b);
+
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const fromX = Math.max(0, Math.ceil(crossings[k] - 0.5));
+            const toX = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+            if (toX >= fromX) {
+                mask.fill(value, row * width + fromX, row * width + toX + 1);
+            }
+        }
+    }
+}
+
+/**
+ * Rasterize visible annotations of the region into a label buffer
+ *
+ * Visible means shown on the slide: neither hidden nor filtered out.
+ * Also returns the number of positive annotations written per class index.
+ */
+function rasterizeAnnotationMask(region, downsample, classes) {
+    const width = Math.max(1, Math.ceil(region.width / downsample));
+    const height = Math.max(1, Math.ceil(region.height / downsample));
+
+    if (width * height > MASK_MAX_PIXELS) {
+        throw new Error(`Mask of ${width}×${height} pixels is too large - choose a higher downsample or a smaller region`);
+    }
+
+    const mask = new Uint8Array(width * height);
+    const toMaskRing = ring => ring.map(([x, y]) => [(x - region.x) / downsample, (y - region.y) / downsample]);
+
+    const positive = [];
+    const negative = [];
+    const counts = {};
+
+    classes.forEach(cls => {
+        counts[cls.index] = 0;
+        annotations[cls.name].forEach(annotation => {
+            if (!isAnnotationShownOnSlide(annotation)) return;
+
+            // Annotations in several folders use the class of their first folder
+            const firstClass = classes.find(c => getAnnotationTags(annotation).includes(c.name));
+            if (firstClass && firstClass.name !== cls.name) return;
+
+            const entry = { annotation: annotation, value: cls.index };
+            if (getAnnotationPolarity(annotation) === 'negative') {
+                negative.push(entry);
+            } else {
+                positive.push(entry);
+            }
+        });
+    });
+
+    // Positive regions first, then negative regions are cleared to background
+    positive.concat(negative).forEach(entry => {
+        const isNegative = getAnnotationPolarity(entry.annotation) === 'negative';
+        const geometry = parseAnnotationGeometry(entry.annotation);
+        const bounds = getGeometryBounds(geometry);
+        const polygons = convertGeometryToPolygons(geometry);
+        if (polygons.length === 0 || !bounds) return;
+
+        // Annotations outside the region leave no pixels
+        if (bounds.x > region.x + region.width || bounds.x + bounds.width < region.x ||
+            bounds.y > region.y + region.height || bounds.y + bounds.height < region.y) return;
+
+        polygons.forEach(rings => {
+            fillRingsIntoMask(mask, width, height, rings.map(toMaskRing), isNegative ? 0 : entry.value);
+        });
+        if (!isNegative) {
+            counts[entry.value]++;
+        }
+    });
+
+    return { mask: mask, width: width, height: height, counts: counts };
+}
+
+/**
+ * Copy a sub-rectangle of a label buffer
+ */
+function cropLabelBuffer(mask, width, x, y, cropWidth, cropHeight) {
+    const result = new Uint8Array(cropWidth * cropHeight);
+    for (let row = 0; row < cropHeight; row++) {
+        const start = (y + row) * width + x;
+        result.set(mask.subarray(start, start + cropWidth), row * cropWidth);
+    }
+    return result;
+}
+
+/**
+ * Export a label mask of the visible annotations
+ */
+async function exportLabelMask() {
+    if (!viewer || !wsi_width || !wsi_height) {
+        alert('Please load a slide before exporting a label mask.');
+        return;
+    }
+
+    const downsampleSelect = document.getElementById('mask-downsample');
+    const regionSelect = document.getElementById('mask-region');
+    const formatSelect = document.getElementById('mask-format');
+    const exportButton = document.getElementById('export-label-mask');
+
+    const downsample = downsampleSelect ? parseFloat(downsampleSelect.value) : 16;
+    const regionType = regionSelect ? regionSelect.value : 'slide';
+    const format = formatSelect ? formatSelect.value : 'png';
+
+    const classes = getMaskClasses();
+    if (classes.length === 0) {
+        alert('No visible annotations to rasterize');
+        return;
+    }
+    if (classes.length > 255) {
+        alert('Label masks support at most 255 classes');
+        return;
+    }
+
+    const region = getMaskRegion(regionType);
+    if (!region) return;
+    if (region.width === 0 || region.height === 0) {
+        alert('The selected region lies outside the slide');
+        return;
+    }
+
+    try {
+        if (exportButton) exportButton.disabled = true;
+        console.log('🎨 Rasterizing label mask:', { region: region, downsample: downsample, classes: classes.length });
+
+        const { mask, width, height, counts } = rasterizeAnnotationMask(region, downsample, classes);
+        const baseName = `mask_${getExportBaseName()}_ds${downsample}`;
+
+        const legend = {
+            slide: currentSlideFile ? currentSlideFile.name : null,
+            downsample: downsample,
+            region: region,
+            size: { width: width, height: height },
+            background: 0,
+            classes: classes.map(cls => ({
+                index: cls.index,
+                name: cls.name,
+                annotationCount: counts[cls.index]
+            }))
+        };
+
+        if (format === 'tiff') {
+            downloadBlob(createTiledTiffBlob(mask, width, height), `${baseName}.tif`);
+            downloadJSONFile(legend, `${baseName}_legend.json`);
+        } else if (width <= MASK_PNG_MAX_SIZE && height <= MASK_PNG_MAX_SIZE) {
+            const png = await encodeLabelBufferAsPNG(mask, width, height);
+            downloadBlob(new Blob([png], { type: 'image/png' }), `${baseName}.png`);
+            downloadJSONFile(legend, `${baseName}_legend.json`);
+        } else {
+            // Large extents are split into PNG tiles bundled with the legend
+            const files = [];
+            legend.tiles = [];
+            for (let y = 0; y < height; y += MASK_PNG_MAX_SIZE) {
+                for (let x = 0; x < width; x += MASK_PNG_MAX_SIZE) {
+                    const tileWidth = Math.min(MASK_PNG_MAX_SIZE, width - x);
+                    const tileHeight = Math.min(MASK_PNG_MAX_SIZE, height - y);
+                    const tile = cropLabelBuffer(mask, width, x, y, tileWidth, tileHeight);
+                    const name = `${baseName}_x${x}_y${y}.png`;
+                    files.push({ name: name, data: await encodeLabelBufferAsPNG(tile, tileWidth, tileHeight) });
+                    legend.tiles.push({ file: name, x: x, y: y, width: tileWidth, height: tileHeight });
+                }
+            }
+            files.push({ name: `${baseName}_legend.json`, data: JSON.stringify(legend, null, 2) });
+            downloadBlob(createZipBlob(files), `${baseName}.zip`);
+        }
+
+        console.log(`✅ Exported ${width}×${height} label mask with ${classes.length} classes`);
+    } catch (error) {
+        console.error('❌ Mask export failed:', error);
+        alert('Mask export failed: ' + error.message);
+    } finally {
+        if (exportButton) exportButton.disabled = false;
+    }
+}
+
+/**
+ * Initialize label mask export controls
+ */
+function initializeMaskExport() {
+    const exportButton = document.getElementById('export-label-mask');
+
+    if (exportButton) {
+        exportButton.addEventListener('click', exportLabelMask);
+    }
+
+    console.log('Label mask export initialized');
+}
@@ -0,0 +1,321 @@
+/**
+ * Training Patch Export Module
+ *
+ * Extracts fixed-size image patches around annotations for training
+ * classification and detection models:
+ * - Pixels are read from the GeoTIFF pyramid of the loaded slide, not
+ *   from screen captures
+ * - Chosen downsample, served by the closest pyramid level
+ * - One patch centered on each annotation, or patches tiled across it
+ * - PNG or JPEG patches bundled in a ZIP with a manifest CSV
+ */
+
+// Upper limit of patches written into one archive
+const PATCH_MAX_COUNT = 5000;
+
+/**
+ * Get the GeoTIFF images of the loaded slide, largest first
+ */
+function getSlidePyramidImages() {
+    const tiledImage = viewer?.world?.getItemAt(0);
+    const levels = tiledImage?.source?.levels;
+    if (!Array.isArray(levels) || levels.length === 0) return [];
+
+    const images = [];
+    levels.forEach(level => {
+        if (level.image && !images.includes(level.image)) {
+            images.push(level.image);
+        }
+    });
+    return images.sort((a, b) => b.getWidth() - a.getWidth());
+}
+
+/**
+ * Pick the smallest pyramid image that still resolves the downsample
+ */
+function getPyramidImageForDownsample(images, downsample) {
+    const fullWidth = images[0].getWidth();
+    let chosen = images[0];
+    images.forEach(image => {
+        // Tolerate rounding of odd level sizes
+        if (image.getWidth() * downsample >= fullWidth * 0.99) {
+            chosen = image;
+        }
+    });
+    return chosen;
+}
+
+/**
+ * Check whether a WSI point lies inside an annotation geometry (even-odd rule)
+ */
+function isPointInGeometry(geometry, x, y) {
+    return convertGeometryToPolygons(geometry).some(rings => {
+        const crossings = rings.filter(ring => isPointInRing([x, y], ring)).length;
+        return crossings % 2 === 1;
+    });
+}
+
+/**
+ * Place a patch of the given WSI extent inside the slide
+ *
+ * Patches near the slide edge are shifted inwards so every patch holds
+ * real pixels.
+ */
+function placePatchInSlide(centerX, centerY, extent) {
+    const maxX = Math.max(0, wsi_width - extent);
+    const maxY = Math.max(0, wsi_height - extent);
+    return {
+        x: Math.round(Math.min(maxX, Math.max(0, centerX - extent / 2))),
+        y: Math.round(Math.min(maxY, Math.max(0, centerY - extent / 2))),
+        width: extent,
+        height: extent
+    };
+}
+
+/**
+ * Compute the WSI patch regions of one annotation
+ */
+function getAnnotationPatchRegions(geometry, bounds, extent, mode) {
+    const centered = () => [placePatchInSlide(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, extent)];
+
+    if (mode !== 'tile' || geometry.type === 'point' || geometry.type === 'polyline') {
+        return centered();
+    }
+
+    const regions = [];
+    const columns = Math.max(1, Math.ceil(bounds.width / extent));
+    const rows = Math.max(1, Math.ceil(bounds.height / extent));
+
+    // Tiles are laid out from the center of the bounding box
+    const startX = bounds.x + bounds.width / 2 - columns * extent / 2;
+    const startY = bounds.y + bounds.height / 2 - rows * extent / 2;
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const centerX = startX + (column + 0.5) * extent;
+            const centerY = startY + (row + 0.5) * extent;
+            if (isPointInGeometry(geometry, centerX, centerY)) {
+                regions.push(placePatchInSlide(centerX, centerY, extent));
+            }
+        }
+    }
+
+    // Annotations smaller than a tile still get one patch
+    return regions.length > 0 ? regions : centered();
+}
+
+/**
+ * Read a WSI region from a pyramid image into a canvas of the patch size
+ */
+async function readPatchCanvas(image, region, size) {
+    const scale = image.getWidth() / wsi_width;
+    const window = [
+        Math.round(region.x * scale),
+        Math.round(region.y * scale),
+        Math.min(image.getWidth(), Math.round((region.x + region.width) * scale)),
+        Math.min(image.getHeight(), Math.round((region.y + region.height) * scale))
+    ];
+
+    const rgb = await image.readRGB({ window: window, width: size, height: size, interleave: true });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(size, size);
+    for (let i = 0, j = 0; i < size * size; i++, j += 3) {
+        imageData.data[i * 4] = rgb[j];
+        imageData.data[i * 4 + 1] = rgb[j + 1];
+        imageData.data[i * 4 + 2] = rgb[j + 2];
+        imageData.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas;
+}
+
+/**
+ * Escape a value for a CSV cell
+ */
+function escapeCSVValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create CSV text from a header and rows
+ */
+function createCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(escapeCSVValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * File names for a list of values (value -> name), unique per value
+ *
+ * Characters other than letters, digits, '_' and '-' become '_'. Names
+ * that would collide get the position of their value appended, so
+ * "Tumor grade" and "Tumor_grade" stay apart.
+ */
+function getUniquePatchFileNames(values) {
+    const names = new Map();
+    const used = new Set();
+
+    values.forEach((value, index) => {
+        if (names.has(value)) return;
+
+        const base = String(value).replace(/[^\w-]/g, '_') || '_';
+        let name = base;
+        for (let suffix = index + 1; used.has(name); suffix++) {
+            name = `${base}_${suffix}`;
+        }
+        used.add(name);
+        names.set(value, name);
+    });
+    return names;
+}
+
+/**
+ * Collect patch jobs for the visible annotations of the tag folders
+ */
+function collectPatchJobs(tags, extent, mode) {
+    const jobs = [];
+    const seen = new Set();
+
+    tags.forEach(tag => {
+        annotations[tag].forEach(annotation => {
+            if (isAnnotationHidden(annotation) || getAnnotationPolarity(annotation) === 'negative') return;
+
+            // Annotations in several folders are exported once per class
+            const key = `${tag}\u0000${annotation.id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const geometry = parseAnnotationGeometry(annotation);
+            const bounds = getGeometryBounds(geometry);
+            if (!bounds) return;
+
+            getAnnotationPatchRegions(geometry, bounds, extent, mode).forEach((region, index) => {
+                jobs.push({ annotation: annotation, tag: tag, bounds: bounds, region: region, index: index });
+            });
+        });
+    });
+
+    return jobs;
+}
+
+/**
+ * Export training patches around the visible annotations
+ */
+async function exportTrainingPatches() {
+    if (!viewer || !wsi_width || !wsi_height) {
+        alert('Please load a slide before exporting patches.');
+        return;
+    }
+
+    const sizeSelect = document.getElementById('patch-size');
+    const downsampleSelect = document.getElementById('patch-downsample');
+    const modeSelect = document.getElementById('patch-mode');
+    const formatSelect = document.getElementById('patch-format');
+    const exportButton = document.getElementById('export-patches');
+
+    const size = sizeSelect ? parseInt(sizeSelect.value, 10) : 256;
+    const downsample = downsampleSelect ? parseFloat(downsampleSelect.value) : 1;
+    const mode = modeSelect ? modeSelect.value : 'center';
+    const format = formatSelect ? formatSelect.value : 'png';
+
+    const images = getSlidePyramidImages();
+    if (images.length === 0) {
+        alert('The slide pyramid is not available yet - wait for the slide to finish loading.');
+        return;
+    }
+
+    const tags = getNonEmptyTags();
+    const extent = size * downsample;
+    const jobs = collectPatchJobs(tags, extent, mode);
+
+    if (jobs.length === 0) {
+        alert('No visible annotations to extract patches from');
+        return;
+    }
+    if (jobs.length > PATCH_MAX_COUNT) {
+        alert(`${jobs.length} patches exceed the limit of ${PATCH_MAX_COUNT} - choose a larger patch size or downsample, or hide some folders.`);
+        return;
+    }
+
+    const image = getPyramidImageForDownsample(images, downsample);
+    const extension = format === 'jpeg' ? 'jpg' : 'png';
+    const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    const slideName = currentSlideFile ? currentSlideFile.name : '';
+    const baseName = `patches_${getExportBaseName()}_${size}px_ds${downsample}`;
+
+    try {
+        if (exportButton) exportButton.disabled = true;
+        console.log('🧩 Extracting patches:', { count: jobs.length, size: size, downsample: downsample, mode: mode });
+
+        const files = [];
+        const rows = [];
+        // Annotorious ids start with '#', class names may hold any character
+        const folderNames = getUniquePatchFileNames(tags);
+        const idNames = getUniquePatchFileNames(jobs.map(job => job.annotation.id));
+
+        for (let i = 0; i < jobs.length; i++) {
+            const job = jobs[i];
+            const canvas = await readPatchCanvas(image, job.region, size);
+            const name = `${folderNames.get(job.tag)}/${idNames.get(job.annotation.id)}_${job.index}.${extension}`;
+
+            files.push({ name: name, data: await encodeCanvasAsBytes(canvas, mimeType, 0.92) });
+            rows.push([
+                slideName,
+                job.annotation.id,
+                job.tag,
+                Math.round(job.bounds.x),
+                Math.round(job.bounds.y),
+                Math.round(job.bounds.width),
+                Math.round(job.bounds.height),
+                name,
+                job.region.x,
+                job.region.y,
+                job.region.width,
+                job.region.height,
+                downsample
+            ]);
+
+            if (exportButton) exportButton.textContent = `Extracting ${i + 1}/${jobs.length}`;
+        }
+
+        files.push({
+            name: 'manifest.csv',
+            data: createCSV([
+                'slide', 'annotation_id', 'class',
+                'bbox_x', 'bbox_y', 'bbox_width', 'bbox_height',
+                'patch_file', 'patch_x', 'patch_y', 'patch_width', 'patch_height',
+                'downsample'
+            ], rows)
+        });
+
+        downloadBlob(createZipBlob(files), `${baseName}.zip`);
+        console.log(`✅ Exported ${jobs.length} patches of ${size}×${size} pixels`);
+    } catch (error) {
+        console.error('❌ Patch export failed:', error);
+        alert('Patch export failed: ' + error.message);
+    } finally {
+        if (exportButton) {
+            exportButton.disabled = false;
+            exportButton.textContent = 'Export patches';
+        }
+    }
+}
+
+/**
+ * Initialize training patch export controls
+ */
+function initializePatchExport() {
+    const exportButton = document.getElementById('export-patches');
+
+    if (exportButton) {
+        exportButton.addEventListener('click', exportTrainingPatches);
+    }
+
+    console.log('Patch export initialized');
+}
@@ -0,0 +1,274 @@
+/**
+ * Path Drawing Module
+ *
+ * Click-by-click drawing of lines on the viewer for tools Annotorious
+ * does not provide:
+ * - Click adds a vertex, double-click or Enter finishes, Escape cancels
+ *   and Backspace removes the last vertex
+ * - The path is previewed in an SVG layer over the viewer, with a
+ *   rubber band segment following the mouse
+ * - Vertices are reported in WSI pixel coordinates
+ * - Polygon and open polyline tools with any number of vertices
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Drawing in progress ({ points, options, layer, handlers, ... })
+let activePathDrawing = null;
+
+/**
+ * Convert a viewer element position into WSI pixel coordinates
+ */
+function getViewerImagePoint(position) {
+    const point = viewer.viewport.viewerElementToImageCoordinates(position);
+    return [point.x, point.y];
+}
+
+/**
+ * Convert WSI pixel coordinates into a viewer element position
+ */
+function getViewerElementPoint(point) {
+    return viewer.viewport.imageToViewerElementCoordinates(new OpenSeadragon.Point(point[0], point[1]));
+}
+
+/**
+ * Check whether a path is being drawn
+ */
+function isPathDrawingActive() {
+    return activePathDrawing !== null;
+}
+
+/**
+ * Redraw the preview of the path being drawn
+ */
+function renderPathDrawingPreview() {
+    if (!activePathDrawing) return;
+
+    const { layer, points, options, hoverPoint } = activePathDrawing;
+    layer.innerHTML = '';
+
+    const screenPoints = points.map(getViewerElementPoint);
+    if (hoverPoint) {
+        screenPoints.push(getViewerElementPoint(hoverPoint));
+    }
+
+    if (screenPoints.length > 1) {
+        const shape = document.createElementNS(SVG_NAMESPACE, options.closed ? 'polygon' : 'polyline');
+        shape.setAttribute('points', screenPoints.map(p => `${p.x},${p.y}`).join(' '));
+        shape.setAttribute('class', 'path-drawing-line');
+        layer.appendChild(shape);
+    }
+
+    screenPoints.slice(0, points.length).forEach(p => {
+        const vertex = document.createElementNS(SVG_NAMESPACE, 'circle');
+        vertex.setAttribute('cx', p.x);
+        vertex.setAttribute('cy', p.y);
+        vertex.setAttribute('r', 4);
+        vertex.setAttribute('class', 'path-drawing-vertex');
+        layer.appendChild(vertex);
+    });
+
+    if (options.onPreview) {
+        options.onPreview(points.concat(hoverPoint ? [hoverPoint] : []), layer);
+    }
+}
+
+/**
+ * Start drawing a path on the viewer
+ *
+ * options: { closed, minPoints, maxPoints, onComplete(points), onCancel(), onPreview(points, layer) }
+ */
+function startPathDrawing(options) {
+    if (!viewer) {
+        alert('Please load a slide first.');
+        return false;
+    }
+    cancelPathDrawing(false);
+
+    const layer = document.createElementNS(SVG_NAMESPACE, 'svg');
+    layer.setAttribute('class', 'path-drawing-layer');
+    viewer.element.appendChild(layer);
+
+    const drawing = {
+        points: [],
+        hoverPoint: null,
+        options: { minPoints: 2, ...options },
+        layer: layer,
+        selectWasDisabled: anno ? anno.disableSelect : false
+    };
+
+    drawing.onClick = event => {
+        event.preventDefaultAction = true;
+        if (!event.quick) return;
+
+        const point = getViewerImagePoint(event.position);
+        const last = drawing.points[drawing.points.length - 1];
+        // The clicks of a double-click land on the same spot
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+            drawing.points.push(point);
+        }
+        if (drawing.options.maxPoints && drawing.points.length >= drawing.options.maxPoints) {
+            finishPathDrawing();
+            return;
+        }
+        renderPathDrawingPreview();
+    };
+    drawing.onDoubleClick = event => {
+        event.preventDefaultAction = true;
+        finishPathDrawing();
+    };
+    drawing.onViewportChange = () => renderPathDrawingPreview();
+    drawing.onMouseMove = event => {
+        const rect = viewer.element.getBoundingClientRect();
+        drawing.hoverPoint = drawing.points.length > 0
+            ? getViewerImagePoint(new OpenSeadragon.Point(event.clientX - rect.left, event.clientY - rect.top))
+            : null;
+        renderPathDrawingPreview();
+    };
+    drawing.onKeyDown = event => {
+        // Keys typed into fields (properties, filter, ...) are not for the drawing
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+        if (event.key === 'Escape') {
+            cancelPathDrawing();
+        } else if (event.key === 'Enter') {
+            finishPathDrawing();
+        } else if (event.key === 'Backspace' || event.key === 'Delete') {
+            drawing.points.pop();
+            renderPathDrawingPreview();
+        } else {
+            return;
+        }
+        // Keep the annotation shortcuts from acting on the key
+        event.preventDefault();
+        event.stopPropagation();
+    };
+
+    viewer.addHandler('canvas-click', drawing.onClick);
+    viewer.addHandler('canvas-double-click', drawing.onDoubleClick);
+    viewer.addHandler('update-viewport', drawing.onViewportChange);
+    viewer.element.addEventListener('mousemove', drawing.onMouseMove);
+    document.addEventListener('keydown', drawing.onKeyDown, true);
+
+    // Clicks must add vertices rather than draw or select annotations
+    if (anno) {
+        anno.setDrawingEnabled(false);
+        anno.disableSelect = true;
+        anno.cancelSelected();
+    }
+    viewer.element.classList.add('path-drawing-active');
+
+    activePathDrawing = drawing;
+    renderPathDrawingPreview();
+    console.log('✏️ Path drawing started');
+    return true;
+}
+
+/**
+ * Remove the handlers and preview of the current drawing
+ *
+ * restoreTool re-applies the active tool, which starts the next shape
+ * for the polygon and polyline tools.
+ */
+function stopPathDrawing(restoreTool = true) {
+    const drawing = activePathDrawing;
+    if (!drawing) return null;
+    activePathDrawing = null;
+
+    viewer.removeHandler('canvas-click', drawing.onClick);
+    viewer.removeHandler('canvas-double-click', drawing.onDoubleClick);
+    viewer.removeHandler('update-viewport', drawing.onViewportChange);
+    viewer.element.removeEventListener('mousemove', drawing.onMouseMove);
+    document.removeEventListener('keydown', drawing.onKeyDown, true);
+    drawing.layer.remove();
+    viewer.element.classList.remove('path-drawing-active');
+
+    if (anno) {
+        anno.disableSelect = drawing.selectWasDisabled;
+        if (restoreTool) {
+            setActiveTool(currentTool);
+        }
+    }
+    return drawing;
+}
+
+/**
+ * Finish the current drawing and hand its vertices to the caller
+ */
+function finishPathDrawing() {
+    const drawing = activePathDrawing;
+    if (!drawing) return;
+
+    if (drawing.points.length < drawing.options.minPoints) {
+        console.log(`✏️ At least ${drawing.options.minPoints} points needed`);
+        return;
+    }
+
+    stopPathDrawing();
+    console.log(`✏️ Path drawing finished with ${drawing.points.length} points`);
+    drawing.options.onComplete(drawing.points);
+}
+
+/**
+ * Abort the current drawing
+ */
+function cancelPathDrawing(restoreTool = true) {
+    const drawing = stopPathDrawing(restoreTool);
+    if (drawing) {
+        console.log('✏️ Path drawing cancelled');
+        if (drawing.options.onCancel) {
+            drawing.options.onCancel();
+        }
+    }
+}
+
+/**
+ * Add a shape drawn with one of our own tools as a new annotation
+ *
+ * Goes through the same steps as shapes drawn with Annotorious; the
+ * properties panel takes the place of the popup.
+ */
+function addDrawnAnnotation(geometry, tool) {
+    const annotation = {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        type: 'Annotation',
+        id: generateAnnotationId(),
+        body: [],
+        target: {
+            selector: createSelectorFromGeometry(geometry)
+        }
+    };
+    stampAnnotationCreation(annotation, tool);
+    stampAnnotationPolarity(annotation);
+
+    try {
+        anno.addAnnotation(annotation);
+    } catch (error) {
+        console.warn('Could not add annotation to viewer:', error);
+    }
+
+    if (!subtractNegativeAnnotation(annotation)) {
+        ensureAddAnnotation(annotation);
+        recordAnnotationHistory('Create annotation', [], [annotation]);
+        
+        // Our tools have no Annotorious popup, name and tag it in the panel
+        openAnnotationSettings(annotation, null);
+    }
+    return annotation;
+}
+
+/**
+ * Polygon (closed) or polyline (open) tool with any number of vertices
+ */
+function startVertexDrawingTool(tool) {
+    const closed = tool === 'polygon';
+
+    startPathDrawing({
+        closed: closed,
+        minPoints: closed ? 3 : 2,
+        onComplete: points => addDrawnAnnotation(
+            closed ? { type: 'polygon', rings: [points] } : { type: 'polyline', points: points },
+            tool
+        )
+    });
+}
@@ -0,0 +1,432 @@
+/**
+ * Polygon Boolean Module
+ *
+ * Union, intersection and difference of area shapes (rectangles,
+ * circles, ellipses, polygons with holes and multipolygons) in WSI pixels:
+ * - Edges of both shapes are split wherever they cross or touch
+ * - An edge piece belongs to the result boundary when the result is
+ *   inside on one side of it and outside on the other
+ * - Kept pieces are chained into rings and grouped into polygons with
+ *   holes by nesting (even-odd)
+ */
+
+// Relative tolerance of intersection parameters
+const POLYGON_BOOLEAN_EPSILON = 1e-9;
+
+// Distance (px) of the probe points on either side of an edge piece
+const POLYGON_BOOLEAN_PROBE_OFFSET = 1e-3;
+
+/**
+ * Get all rings of an area shape (empty for points and lines)
+ */
+function getGeometryRings(geometry) {
+    const rings = [];
+    convertGeometryToPolygons(geometry).forEach(polygon => {
+        polygon.forEach(ring => {
+            const open = removeClosingPoint(ring);
+            if (open.length >= 3) rings.push(open);
+        });
+    });
+    return rings;
+}
+
+/**
+ * Check whether a point lies inside a set of rings (even-odd rule)
+ */
+function isPointInRings(point, rings) {
+    let inside = false;
+    rings.forEach(ring => {
+        if (isPointInRing(point, ring)) inside = !inside;
+    });
+    return inside;
+}
+
+/**
+ * Bounding box of a set of rings ({ minX, minY, maxX, maxY })
+ */
+function getRingsBounds(rings) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    rings.forEach(ring => ring.forEach(([x, y]) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }));
+    return bounds;
+}
+
+/**
+ * Check whether two bounding boxes overlap or touch
+ */
+function doBoundsOverlap(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+/**
+ * Create the edges of a set of rings
+ */
+function createBooleanEdges(rings) {
+    const edges = [];
+    rings.forEach(ring => {
+        ring.forEach((a, i) => {
+            const b = ring[(i + 1) % ring.length];
+            if (a[0] === b[0] && a[1] === b[1]) return;
+            edges.push({
+                a: a,
+                b: b,
+                cuts: [],
+                bounds: {
+                    minX: Math.min(a[0], b[0]),
+                    minY: Math.min(a[1], b[1]),
+                    maxX: Math.max(a[0], b[0]),
+                    maxY: Math.max(a[1], b[1])
+                }
+            });
+        });
+    });
+    return edges;
+}
+
+/**
+ * Bucket edges into a uniform grid so only nearby edges are compared
+ */
+function createBooleanEdgeGrid(edges) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    edges.forEach(edge => {
+        bounds.minX = Math.min(bounds.minX, edge.bounds.minX);
+        bounds.minY = Math.min(bounds.minY, edge.bounds.minY);
+        bounds.maxX = Math.max(bounds.maxX, edge.bounds.maxX);
+        bounds.maxY = Math.max(bounds.maxY, edge.bounds.maxY);
+    });
+
+    const size = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+    const grid = {
+        bounds: bounds,
+        size: size,
+        cellWidth: (bounds.maxX - bounds.minX) / size || 1,
+        cellHeight: (bounds.maxY - bounds.minY) / size || 1,
+        cells: new Map(),
+        edges: edges
+    };
+
+    edges.forEach((edge, index) => {
+        forEachBooleanGridCell(grid, edge.bounds, key => {
+            if (!grid.cells.has(key)) grid.cells.set(key, []);
+            grid.cells.get(key).push(index);
+        });
+    });
+
+    return grid;
+}
+
+/**
+ * Call back with the key of every grid cell a bounding box covers
+ */
+function forEachBooleanGridCell(grid, bounds, callback) {
+    const clamp = value => Math.min(grid.size - 1, Math.max(0, value));
+    const x0 = clamp(Math.floor((bounds.minX - grid.bounds.minX) / grid.cellWidth));
+    const x1 = clamp(Math.floor((bounds.maxX - grid.bounds.minX) / grid.cellWidth));
+    const y0 = clamp(Math.floor((bounds.minY - grid.bounds.minY) / grid.cellHeight));
+    const y1 = clamp(Math.floor((bounds.maxY - grid.bounds.minY) / grid.cellHeight));
+
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            callback(y * grid.size + x);
+        }
+    }
+}
+
+/**
+ * Call back once with every grid edge whose bounding box meets the given one
+ */
+function forEachNearbyBooleanEdge(grid, bounds, callback) {
+    if (!doBoundsOverlap(grid.bounds, bounds)) return;
+
+    const visited = new Set();
+    forEachBooleanGridCell(grid, bounds, key => {
+        (grid.cells.get(key) || []).forEach(index => {
+            if (visited.has(index)) return;
+            visited.add(index);
+            callback(grid.edges[index]);
+        });
+    });
+}
+
+/**
+ * Record where two edges cross, touch or overlap
+ *
+ * Both edges receive the same point object so the pieces can be chained
+ * by exact coordinates.
+ */
+function intersectBooleanEdges(e1, e2) {
+    if (!doBoundsOverlap(e1.bounds, e2.bounds)) return;
+
+    const eps = POLYGON_BOOLEAN_EPSILON;
+    const rx = e1.b[0] - e1.a[0];
+    const ry = e1.b[1] - e1.a[1];
+    const sx = e2.b[0] - e2.a[0];
+    const sy = e2.b[1] - e2.a[1];
+    const qx = e2.a[0] - e1.a[0];
+    const qy = e2.a[1] - e1.a[1];
+    const lengthR = Math.hypot(rx, ry);
+    const lengthS = Math.hypot(sx, sy);
+    const denominator = rx * sy - ry * sx;
+
+    // Parameter of a point along an edge
+    const along = (edge, dx, dy, length, point) =>
+        ((point[0] - edge.a[0]) * dx + (point[1] - edge.a[1]) * dy) / (length * length);
+    const isInterior = t => t > eps && t < 1 - eps;
+
+    if (Math.abs(denominator) <= eps * lengthR * lengthS) {
+        // Parallel - only collinear overlaps split edges
+        const distance = Math.abs(qx * ry - qy * rx) / lengthR;
+        if (distance > eps * Math.max(lengthR, lengthS, 1)) return;
+
+        [e2.a, e2.b].forEach(point => {
+            const t = along(e1, rx, ry, lengthR, point);
+            if (isInterior(t)) e1.cuts.push({ t: t, point: point });
+        });
+        [e1.a, e1.b].forEach(point => {
+            const u = along(e2, sx, sy, lengthS, point);
+            if (isInterior(u)) e2.cuts.push({ t: u, point: point });
+        });
+        return;
+    }
+
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * ry - qy * rx) / denominator;
+    if (t < -eps || t > 1 + eps || u < -eps || u > 1 + eps) return;
+
+    // Reuse existing vertices for touching edges
+    let point;
+    if (!isInterior(t)) {
+        point = t < 0.5 ? e1.a : e1.b;
+    } else if (!isInterior(u)) {
+        point = u < 0.5 ? e2.a : e2.b;
+    } else {
+        point = [e1.a[0] + t * rx, e1.a[1] + t * ry];
+    }
+
+    if (isInterior(t)) e1.cuts.push({ t: t, point: point });
+    if (isInterior(u)) e2.cuts.push({ t: u, point: point });
+}
+
+/**
+ * Split an edge at its recorded cuts
+ */
+function splitBooleanEdge(edge) {
+    const points = [edge.a]
+        .concat(edge.cuts.sort((x, y) => x.t - y.t).map(cut => cut.point))
+        .concat([edge.b]);
+
+    const pieces = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        if (a[0] !== b[0] || a[1] !== b[1]) {
+            pieces.push([a, b]);
+        }
+    }
+    return pieces;
+}
+
+/**
+ * Check whether a point is inside the result of an operation
+ */
+function isInsideBooleanResult(operation, insideA, insideB) {
+    switch (operation) {
+        case 'union':
+            return insideA || insideB;
+        case 'intersection':
+            return insideA && insideB;
+        case 'difference':
+            return insideA && !insideB;
+        case 'xor':
+            return insideA !== insideB;
+        default:
+            throw new Error(`Unknown boolean operation: ${operation}`);
+    }
+}
+
+/**
+ * Drop repeated and collinear vertices of a ring
+ */
+function cleanBooleanRing(ring) {
+    const result = [];
+    ring.forEach(point => {
+        const last = result[result.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+            result.push(point);
+        }
+    });
+
+    let changed = true;
+    while (changed && result.length > 3) {
+        changed = false;
+        for (let i = 0; i < result.length; i++) {
+            const prev = result[(i - 1 + result.length) % result.length];
+            const point = result[i];
+            const next = result[(i + 1) % result.length];
+            const cross = (point[0] - prev[0]) * (next[1] - prev[1]) - (point[1] - prev[1]) * (next[0] - prev[0]);
+            const scale = Math.hypot(next[0] - prev[0], next[1] - prev[1]) * Math.hypot(point[0] - prev[0], point[1] - prev[1]);
+            if (Math.abs(cross) <= POLYGON_BOOLEAN_EPSILON * scale) {
+                result.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Chain boundary pieces into closed rings
+ */
+function chainBooleanPieces(pieces) {
+    const key = point => `${point[0]},${point[1]}`;
+    const adjacency = new Map();
+    pieces.forEach((piece, index) => {
+        piece.forEach(point => {
+            const k = key(point);
+            if (!adjacency.has(k)) adjacency.set(k, []);
+            adjacency.get(k).push(index);
+        });
+    });
+
+    const used = new Array(pieces.length).fill(false);
+    const rings = [];
+
+    pieces.forEach((piece, index) => {
+        if (used[index]) return;
+        used[index] = true;
+
+        const startKey = key(piece[0]);
+        const ring = [piece[0]];
+        let current = piece[1];
+        let closed = true;
+
+        while (key(current) !== startKey) {
+            ring.push(current);
+            const nextIndex = adjacency.get(key(current)).find(i => !used[i]);
+            if (nextIndex === undefined) {
+                closed = false;
+                break;
+            }
+            used[nextIndex] = true;
+            const next = pieces[nextIndex];
+            current = key(next[0]) === key(current) ? next[1] : next[0];
+        }
+
+        if (closed) {
+            const cleaned = cleanBooleanRing(ring);
+            if (cleaned.length >= 3 && calculatePolygonArea(cleaned) > 0) {
+                rings.push(cleaned);
+            }
+        }
+    });
+
+    return rings;
+}
+
+/**
+ * Check whether a boundary piece of the result separates inside from outside
+ */
+function isBooleanBoundaryPiece(piece, ringsA, ringsB, operation) {
+    const [a, b] = piece;
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    const offset = Math.min(length * 1e-3, POLYGON_BOOLEAN_PROBE_OFFSET);
+    const mx = (a[0] + b[0]) / 2;
+    const my = (a[1] + b[1]) / 2;
+    const nx = (-dy / length) * offset;
+    const ny = (dx / length) * offset;
+
+    const left = [mx + nx, my + ny];
+    const right = [mx - nx, my - ny];
+    const insideLeft = isInsideBooleanResult(operation, isPointInRings(left, ringsA), isPointInRings(left, ringsB));
+    const insideRight = isInsideBooleanResult(operation, isPointInRings(right, ringsA), isPointInRings(right, ringsB));
+    return insideLeft !== insideRight;
+}
+
+/**
+ * Combine the rings of two shapes into the rings of the result
+ */
+function computeRingsBoolean(ringsA, ringsB, operation) {
+    const edgesA = createBooleanEdges(ringsA);
+    const edgesB = createBooleanEdges(ringsB);
+
+    const gridB = createBooleanEdgeGrid(edgesB);
+    edgesA.forEach(e1 => {
+        forEachNearbyBooleanEdge(gridB, e1.bounds, e2 => intersectBooleanEdges(e1, e2));
+    });
+
+    const pieceId = ([a, b]) => [`${a[0]},${a[1]}`, `${b[0]},${b[1]}`].sort().join('|');
+    const piecesA = [].concat(...edgesA.map(splitBooleanEdge));
+    const piecesB = [].concat(...edgesB.map(splitBooleanEdge));
+    const idsA = new Set(piecesA.map(pieceId));
+    const idsB = new Set(piecesB.map(pieceId));
+
+    const kept = [];
+    const keepPieces = (pieces, otherIds, otherRings, isFromA) => {
+        pieces.forEach(piece => {
+            const id = pieceId(piece);
+            if (otherIds.has(id)) {
+                // Shared by both shapes - kept once, decided by probing both sides
+                if (isFromA && isBooleanBoundaryPiece(piece, ringsA, ringsB, operation)) {
+                    kept.push(piece);
+                }
+                return;
+            }
+
+            // The piece separates inside from outside of its own shape
+            const mid = [(piece[0][0] + piece[1][0]) / 2, (piece[0][1] + piece[1][1]) / 2];
+            const insideOther = isPointInRings(mid, otherRings);
+            const inside = isFromA
+                ? [isInsideBooleanResult(operation, true, insideOther), isInsideBooleanResult(operation, false, insideOther)]
+                : [isInsideBooleanResult(operation, insideOther, true), isInsideBooleanResult(operation, insideOther, false)];
+            if (inside[0] !== inside[1]) {
+                kept.push(piece);
+            }
+        });
+    };
+
+    keepPieces(piecesA, idsB, ringsB, true);
+    keepPieces(piecesB, idsA, ringsA, false);
+
+    return chainBooleanPieces(kept);
+}
+
+/**
+ * Apply a boolean operation to two area shapes
+ *
+ * operation is 'union', 'intersection', 'difference' (a minus b) or 'xor'.
+ * Returns a polygon or multipolygon shape, or null for an empty result.
+ */
+function computeGeometryBoolean(geometryA, geometryB, operation) {
+    const ringsA = getGeometryRings(geometryA);
+    const ringsB = getGeometryRings(geometryB);
+
+    let rings;
+    if (ringsA.length === 0 || ringsB.length === 0 || !doBoundsOverlap(getRingsBounds(ringsA), getRingsBounds(ringsB))) {
+        // Disjoint shapes need no edge splitting
+        const keepA = isInsideBooleanResult(operation, true, false);
+        const keepB = isInsideBooleanResult(operation, false, true);
+        rings = (keepA ? ringsA : []).concat(keepB ? ringsB : []);
+    } else {
+        rings = computeRingsBoolean(ringsA, ringsB, operation);
+    }
+
+    return rings.length > 0 ? createPolygonGeometry(rings) : null;
+}
+
+/**
+ * Merge a list of area shapes into one shape
+ */
+function unionGeometries(geometries) {
+    return geometries.reduce((result, geometry) => {
+        if (!result) return getGeometryRings(geometry).length > 0 ? geometry : null;
+        return computeGeometryBoolean(result, geometry, 'union') || result;
+    }, null);
+}
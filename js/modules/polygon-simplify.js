@@ -0,0 +1,328 @@
+/**
+ * Polygon Simplification Module
+ *
+ * Reduces the vertex count of traced shapes:
+ * - Douglas-Peucker simplification with a tolerance in screen pixels
+ *   (at the current zoom) or microns
+ * - Optional Chaikin smoothing of the simplified outline
+ * - Applied to SAM masks as they are converted, and on demand to the
+ *   selected annotations, reporting vertex counts before and after
+ */
+
+const SIMPLIFY_SETTINGS_STORAGE_KEY = 'wsi-annotator-simplify-settings';
+
+// Chaikin passes (each pass doubles the vertex count)
+const CHAIKIN_ITERATIONS = 2;
+
+let simplifySettings = {
+    tolerance: 1,
+    unit: 'screen',
+    smoothing: false,
+    simplifySAM: true
+};
+
+/**
+ * Distance from a point to a line segment
+ */
+function getPointToSegmentDistance(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+
+    let t = 0;
+    if (lengthSquared > 0) {
+        t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+    }
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+/**
+ * Douglas-Peucker simplification of an open chain of points
+ */
+function simplifyChain(points, tolerance) {
+    if (points.length <= 2) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    // Explicit stack, contours of large masks would overflow recursion
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = getPointToSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Douglas-Peucker simplification of a ring or line
+ *
+ * Rings are split at the vertex farthest from the first one so both
+ * halves are simplified as chains. Rings keep at least three vertices.
+ */
+function simplifyPoints(points, tolerance, closed) {
+    if (!closed) return simplifyChain(points, tolerance);
+
+    const ring = removeClosingPoint(points);
+    if (ring.length <= 3) return ring;
+
+    let farthest = 0;
+    let maxDistance = -1;
+    ring.forEach((point, i) => {
+        const distance = Math.hypot(point[0] - ring[0][0], point[1] - ring[0][1]);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            farthest = i;
+        }
+    });
+
+    const first = simplifyChain(ring.slice(0, farthest + 1), tolerance);
+    const second = simplifyChain(ring.slice(farthest).concat([ring[0]]), tolerance);
+    const simplified = first.concat(second.slice(1, -1));
+
+    return simplified.length >= 3 ? simplified : ring;
+}
+
+/**
+ * Chaikin corner cutting of a ring or line
+ */
+function smoothPoints(points, iterations, closed) {
+    let result = closed ? removeClosingPoint(points) : points;
+
+    for (let pass = 0; pass < iterations && result.length > 2; pass++) {
+        const smoothed = closed ? [] : [result[0]];
+        const count = closed ? result.length : result.length - 1;
+
+        for (let i = 0; i < count; i++) {
+            const [x1, y1] = result[i];
+            const [x2, y2] = result[(i + 1) % result.length];
+            smoothed.push([0.75 * x1 + 0.25 * x2, 0.75 * y1 + 0.25 * y2]);
+            smoothed.push([0.25 * x1 + 0.75 * x2, 0.25 * y1 + 0.75 * y2]);
+        }
+
+        if (!closed) {
+            smoothed.push(result[result.length - 1]);
+        }
+        result = smoothed;
+    }
+
+    return result;
+}
+
+/**
+ * Simplify (and optionally smooth) one ring or line
+ */
+function simplifyAndSmoothPoints(points, tolerance, smoothing, closed) {
+    const simplified = simplifyPoints(points, tolerance, closed);
+    return smoothing ? smoothPoints(simplified, CHAIKIN_ITERATIONS, closed) : simplified;
+}
+
+/**
+ * Simplify the outlines of a shape (polygons and lines only)
+ *
+ * Returns null for shapes without vertices to simplify.
+ */
+function simplifyGeometry(geometry, tolerance, smoothing) {
+    if (!geometry) return null;
+
+    const simplifyRings = rings => rings.map(ring => simplifyAndSmoothPoints(ring, tolerance, smoothing, true));
+
+    switch (geometry.type) {
+        case 'polygon':
+            return { type: 'polygon', rings: simplifyRings(geometry.rings) };
+        case 'multipolygon':
+            return { type: 'multipolygon', polygons: geometry.polygons.map(simplifyRings) };
+        case 'polyline':
+            return { type: 'polyline', points: simplifyAndSmoothPoints(geometry.points, tolerance, smoothing, false) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Count the vertices of a shape
+ */
+function countGeometryVertices(geometry) {
+    if (!geometry) return 0;
+
+    switch (geometry.type) {
+        case 'polygon':
+            return geometry.rings.reduce((sum, ring) => sum + ring.length, 0);
+        case 'multipolygon':
+            return geometry.polygons.reduce((sum, rings) => sum + countGeometryVertices({ type: 'polygon', rings: rings }), 0);
+        case 'polyline':
+            return geometry.points.length;
+        case 'point':
+            return 1;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Tolerance of the current settings in WSI pixels (null if not available)
+ */
+function getSimplifyTolerancePixels() {
+    const tolerance = simplifySettings.tolerance;
+
+    if (simplifySettings.unit === 'micron') {
+        const mpp = getMicronsPerPixel();
+        return mpp ? tolerance / mpp : null;
+    }
+
+    // Screen pixels at the current zoom
+    if (!viewer) return tolerance;
+    return tolerance / viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+}
+
+/**
+ * Simplify the WSI coordinate rings of a SAM mask
+ */
+function simplifySAMCoordinates(rings) {
+    if (!simplifySettings.simplifySAM) return rings;
+
+    const tolerance = getSimplifyTolerancePixels();
+    if (!tolerance) {
+        console.warn('⚠️ No slide resolution - SAM mask not simplified (tolerance in µm)');
+        return rings;
+    }
+
+    const simplified = rings.map(ring =>
+        simplifyAndSmoothPoints(ring, tolerance, simplifySettings.smoothing, true)
+    );
+
+    const before = rings.reduce((sum, ring) => sum + ring.length, 0);
+    const after = simplified.reduce((sum, ring) => sum + ring.length, 0);
+    updateSimplifyStatus(`SAM mask: ${before.toLocaleString()} → ${after.toLocaleString()} vertices`);
+    console.log(`📐 Simplified SAM mask: ${before} → ${after} vertices`);
+    return simplified;
+}
+
+/**
+ * Show the result of the last simplification
+ */
+function updateSimplifyStatus(text) {
+    const status = document.getElementById('simplify-status');
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+/**
+ * Simplify the selected annotations
+ */
+function simplifySelectedAnnotations() {
+    const selected = getSelectedAnnotationIds().map(findAnnotationInStore).filter(Boolean);
+    if (selected.length === 0) {
+        alert('Select the annotations to simplify in the annotation list.');
+        return;
+    }
+
+    const tolerance = getSimplifyTolerancePixels();
+    if (!tolerance) {
+        alert('The slide resolution is unknown. Enter the µm/px in View Info or use a tolerance in screen pixels.');
+        return;
+    }
+
+    const before = [];
+    const after = [];
+    let verticesBefore = 0;
+    let verticesAfter = 0;
+
+    selected.forEach(annotation => {
+        const geometry = parseAnnotationGeometry(annotation);
+        const simplified = simplifyGeometry(geometry, tolerance, simplifySettings.smoothing);
+        if (!simplified) return;
+
+        const countBefore = countGeometryVertices(geometry);
+        const countAfter = countGeometryVertices(simplified);
+        if (countAfter === countBefore && !simplifySettings.smoothing) return;
+
+        verticesBefore += countBefore;
+        verticesAfter += countAfter;
+        before.push(annotation);
+        after.push(replaceAnnotationGeometry(annotation, simplified));
+    });
+
+    if (before.length === 0) {
+        updateSimplifyStatus('Nothing to simplify at this tolerance');
+        return;
+    }
+
+    recordAnnotationHistory(before.length === 1 ? 'Simplify annotation' : 'Simplify annotations', before, after);
+    updateSimplifyStatus(`${verticesBefore.toLocaleString()} → ${verticesAfter.toLocaleString()} vertices`);
+    console.log(`📐 Simplified ${before.length} annotation(s): ${verticesBefore} → ${verticesAfter} vertices`);
+}
+
+/**
+ * Initialize the simplification settings and action
+ */
+function initializePolygonSimplify() {
+    simplifySettings = loadStoredSettings(SIMPLIFY_SETTINGS_STORAGE_KEY, simplifySettings);
+
+    const toleranceInput = document.getElementById('simplify-tolerance');
+    const unitSelect = document.getElementById('simplify-unit');
+    const smoothingInput = document.getElementById('simplify-smoothing');
+    const samInput = document.getElementById('simplify-sam');
+    const simplifyButton = document.getElementById('simplify-selected');
+
+    if (toleranceInput) {
+        toleranceInput.value = simplifySettings.tolerance;
+        toleranceInput.addEventListener('change', () => {
+            const value = parseFloat(toleranceInput.value);
+            if (!(value > 0)) {
+                alert('Please enter a tolerance greater than 0.');
+                toleranceInput.value = simplifySettings.tolerance;
+                return;
+            }
+            simplifySettings.tolerance = value;
+            storeSettings(SIMPLIFY_SETTINGS_STORAGE_KEY, simplifySettings);
+        });
+    }
+
+    if (unitSelect) {
+        unitSelect.value = simplifySettings.unit;
+        unitSelect.addEventListener('change', () => {
+            simplifySettings.unit = unitSelect.value;
+            storeSettings(SIMPLIFY_SETTINGS_STORAGE_KEY, simplifySettings);
+        });
+    }
+
+    if (smoothingInput) {
+        smoothingInput.checked = simplifySettings.smoothing;
+        smoothingInput.addEventListener('change', () => {
+            simplifySettings.smoothing = smoothingInput.checked;
+            storeSettings(SIMPLIFY_SETTINGS_STORAGE_KEY, simplifySettings);
+        });
+    }
+
+    if (samInput) {
+        samInput.checked = simplifySettings.simplifySAM;
+        samInput.addEventListener('change', () => {
+            simplifySettings.simplifySAM = samInput.checked;
+            storeSettings(SIMPLIFY_SETTINGS_STORAGE_KEY, simplifySettings);
+        });
+    }
+
+    if (simplifyButton) {
+        simplifyButton.addEventListener('click', simplifySelectedAnnotations);
+    }
+
+    console.log('Polygon simplification initialized');
+}
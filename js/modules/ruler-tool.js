@@ -0,0 +1,97 @@
+/**
+ * Ruler Tool Module
+ *
+ * Distance measurement on the slide:
+ * - Click the start and end of the line, the length follows the mouse
+ *   in µm or mm (pixels when the slide resolution is unknown)
+ * - Rulers can be kept as line annotations in their own folder, which
+ *   are exported with their length
+ */
+
+const RULER_SETTINGS_STORAGE_KEY = 'wsi-annotator-ruler-settings';
+
+// Folder (tag) of saved rulers
+const RULER_FOLDER = 'Measurements';
+
+let rulerSettings = {
+    save: true
+};
+
+/**
+ * Show the length of the line being drawn next to its end
+ */
+function renderRulerLabel(points, layer) {
+    if (points.length < 2) return;
+
+    const end = getViewerElementPoint(points[points.length - 1]);
+    const label = document.createElementNS(SVG_NAMESPACE, 'text');
+    label.setAttribute('x', end.x + 10);
+    label.setAttribute('y', end.y - 10);
+    label.setAttribute('class', 'ruler-label');
+    label.textContent = formatMeasurementLength(calculatePathLength(points, false));
+    layer.appendChild(label);
+}
+
+/**
+ * Report a finished ruler and keep it as an annotation if enabled
+ */
+function completeRulerMeasurement(points) {
+    const geometry = { type: 'polyline', points: points };
+    const length = formatMeasurementLength(calculatePathLength(points, false));
+
+    if (!rulerSettings.save) {
+        renderAnnotationMeasurements({ target: { selector: createSelectorFromGeometry(geometry) } });
+        console.log(`📏 Ruler: ${length}`);
+        return;
+    }
+
+    const annotation = createAnnotationFromGeometry(geometry, {
+        id: generateAnnotationId(),
+        name: 'Ruler',
+        tags: [RULER_FOLDER]
+    });
+    stampAnnotationCreation(annotation, 'ruler');
+
+    try {
+        anno.addAnnotation(annotation);
+    } catch (error) {
+        console.warn('Could not add annotation to viewer:', error);
+    }
+    ensureAddAnnotation(annotation);
+    recordAnnotationHistory('Add measurement', [], [annotation]);
+    setAnnotationSelection([annotation.id]);
+    renderAnnotationMeasurements(annotation);
+
+    console.log(`📏 Ruler saved in ${RULER_FOLDER}: ${length}`);
+}
+
+/**
+ * Start measuring (two clicks, the tool restarts after each line)
+ */
+function startRulerTool() {
+    startPathDrawing({
+        closed: false,
+        minPoints: 2,
+        maxPoints: 2,
+        onPreview: renderRulerLabel,
+        onComplete: completeRulerMeasurement
+    });
+}
+
+/**
+ * Initialize the ruler settings
+ */
+function initializeRulerTool() {
+    rulerSettings = loadStoredSettings(RULER_SETTINGS_STORAGE_KEY, rulerSettings);
+
+    const saveInput = document.getElementById('ruler-save');
+    if (saveInput) {
+        saveInput.checked = rulerSettings.save;
+        saveInput.addEventListener('change', () => {
+            rulerSettings.save = saveInput.checked;
+            storeSettings(RULER_SETTINGS_STORAGE_KEY, rulerSettings);
+        });
+    }
+
+    console.log('Ruler tool initialized');
+}
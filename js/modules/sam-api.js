@@ -402,8 +402,11 @@ function convertSAMResultToAnnotation(samResult, originalAnnotation, imageInfo)
             } : 'N/A'
         });
         
+        // Drop the per-pixel contour vertices before building the path
+        const simplifiedCoordinates = simplifySAMCoordinates(wsiCoordinatesForDisplay);
+        
         // Create SVG path from WSI coordinates
-        const svgPath = createSVGPathFromWSICoordinates(wsiCoordinatesForDisplay);
+        const svgPath = createSVGPathFromWSICoordinates(simplifiedCoordinates);
         
         // Create annotation in Annotorious format
         const samAnnotation = {
@@ -433,26 +436,6 @@ function convertSAMResultToAnnotation(samResult, originalAnnotation, imageInfo)
     }
 }
 
-/**
- * Calculate polygon area using shoelace formula
- */
-function calculatePolygonArea(coordinates) {
-    if (!coordinates || coordinates.length < 3) {
-        return 0;
-    }
-    
-    let area = 0;
-    const n = coordinates.length;
-    
-    for (let i = 0; i < n; i++) {
-        const j = (i + 1) % n;
-        area += coordinates[i][0] * coordinates[j][1];
-        area -= coordinates[j][0] * coordinates[i][1];
-    }
-    
-    return Math.abs(area) / 2;
-}
-
 /**
  * Extract coordinates from annotation (from backup)
  */
@@ -701,6 +684,13 @@ function createSVGPathFromWSICoordinates(wsiCoordinates) {
         return '';
     }
     
+    // Holes and separate parts need a path; evenodd keeps the holes open
+    if (wsiCoordinates.length > 1) {
+        const multiRingPath = `<svg><path fill-rule="evenodd" d="${createPathDataFromRings(wsiCoordinates)}"></path></svg>`;
+        console.log('🔄 Created SVG path with', wsiCoordinates.length, 'rings');
+        return multiRingPath;
+    }
+    
     const coords = wsiCoordinates[0];
     let pathData = `<svg><polygon points="`;
     
@@ -0,0 +1,33 @@
+/**
+ * Settings Storage Module
+ *
+ * Tool settings remembered in the browser between sessions:
+ * - Stored as JSON in localStorage under a key per tool
+ * - Saved values are laid over the defaults, so settings added later
+ *   keep their default until the user changes them
+ * - Storage errors (private mode, full quota) only leave a warning
+ */
+
+/**
+ * Load settings saved in earlier sessions over their defaults
+ */
+function loadStoredSettings(key, defaults) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key) || '{}');
+        return { ...defaults, ...saved };
+    } catch (error) {
+        console.warn(`Could not read settings ${key}:`, error);
+        return { ...defaults };
+    }
+}
+
+/**
+ * Remember settings for later sessions
+ */
+function storeSettings(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not store settings ${key}:`, error);
+    }
+}
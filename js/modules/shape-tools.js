@@ -0,0 +1,283 @@
+/**
+ * Shape Tools Module
+ *
+ * Ellipse and rotatable rectangle tools:
+ * - Drag on the viewer to draw the shape inside the dragged box
+ * - The selected ellipse or rectangle gets a rotation handle above its
+ *   top edge; drag it to turn the shape around its center (Shift snaps
+ *   to 15° steps)
+ * - The rotation is kept in the selector, so the shapes export as rotated
+ *   HistomicsTK rectangles and ellipses
+ */
+
+// Distance of the rotation handle from the top edge (screen pixels)
+const ROTATION_HANDLE_DISTANCE = 30;
+const ROTATION_HANDLE_RADIUS = 6;
+const ROTATION_SNAP_STEP = Math.PI / 12;
+
+// Drags smaller than this (screen pixels) do not create a shape
+const MIN_SHAPE_DRAG = 3;
+
+// Active tool ({ tool, layer, draft, rotating, ... })
+let activeShapeTool = null;
+
+/**
+ * Get the selected annotation the rotation handle belongs to
+ *
+ * Returns { annotation, geometry } for a single selected ellipse or
+ * rectangle, null otherwise.
+ */
+function getRotatableSelection() {
+    const ids = getSelectedAnnotationIds();
+    if (ids.length !== 1) return null;
+
+    const annotation = findAnnotationInStore(ids[0]);
+    const geometry = annotation ? parseAnnotationGeometry(annotation) : null;
+    if (!geometry || (geometry.type !== 'ellipse' && geometry.type !== 'rectangle')) return null;
+
+    return { annotation, geometry };
+}
+
+/**
+ * Center of an ellipse or rectangle shape
+ */
+function getRotatableShapeCenter(geometry) {
+    return geometry.type === 'ellipse'
+        ? [geometry.cx, geometry.cy]
+        : [geometry.x + geometry.width / 2, geometry.y + geometry.height / 2];
+}
+
+/**
+ * Position of the rotation handle of a shape in WSI pixels
+ */
+function getRotationHandlePoint(geometry) {
+    const [cx, cy] = getRotatableShapeCenter(geometry);
+    const halfHeight = geometry.type === 'ellipse' ? geometry.ry : geometry.height / 2;
+    const imageZoom = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+    return rotatePoint(cx, cy - halfHeight - ROTATION_HANDLE_DISTANCE / imageZoom, cx, cy, geometry.rotation || 0);
+}
+
+/**
+ * Create the shape of a tool inside the box between two corners
+ */
+function createShapeFromBox(tool, start, end) {
+    const x = Math.min(start[0], end[0]);
+    const y = Math.min(start[1], end[1]);
+    const width = Math.abs(end[0] - start[0]);
+    const height = Math.abs(end[1] - start[1]);
+
+    if (tool === 'ellipse') {
+        return { type: 'ellipse', cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2, rotation: 0 };
+    }
+    return { type: 'rectangle', x: x, y: y, width: width, height: height, rotation: 0 };
+}
+
+/**
+ * Keep a rotation angle within (-180°, 180°]
+ */
+function normalizeRotation(rotation) {
+    let result = rotation % (2 * Math.PI);
+    if (result > Math.PI) result -= 2 * Math.PI;
+    if (result <= -Math.PI) result += 2 * Math.PI;
+    return Math.abs(result) < 1e-9 ? 0 : result;
+}
+
+/**
+ * Add an SVG element to the tool layer
+ */
+function appendShapeToolElement(name, attributes) {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+    activeShapeTool.layer.appendChild(element);
+    return element;
+}
+
+/**
+ * Draw the shape being drawn or rotated and the rotation handle
+ */
+function renderShapeToolPreview() {
+    if (!activeShapeTool) return;
+
+    const tool = activeShapeTool;
+    tool.layer.innerHTML = '';
+
+    const toPoints = ring => ring.map(getViewerElementPoint).map(p => `${p.x},${p.y}`).join(' ');
+
+    if (tool.draft) {
+        const geometry = createShapeFromBox(tool.tool, tool.draft.start, tool.draft.end);
+        appendShapeToolElement('polygon', { points: toPoints(convertGeometryToPolygons(geometry)[0][0]), class: 'path-drawing-line' });
+        return;
+    }
+
+    const selection = tool.rotating || getRotatableSelection();
+    if (!selection) return;
+
+    const geometry = tool.rotating ? { ...selection.geometry, rotation: tool.rotating.rotation } : selection.geometry;
+    if (tool.rotating) {
+        appendShapeToolElement('polygon', { points: toPoints(convertGeometryToPolygons(geometry)[0][0]), class: 'path-drawing-line' });
+    }
+
+    const [cx, cy] = getRotatableShapeCenter(geometry);
+    const halfHeight = geometry.type === 'ellipse' ? geometry.ry : geometry.height / 2;
+    const edge = getViewerElementPoint(rotatePoint(cx, cy - halfHeight, cx, cy, geometry.rotation || 0));
+    const handle = getViewerElementPoint(getRotationHandlePoint(geometry));
+
+    appendShapeToolElement('line', { x1: edge.x, y1: edge.y, x2: handle.x, y2: handle.y, class: 'rotation-handle-line' });
+    appendShapeToolElement('circle', { cx: handle.x, cy: handle.y, r: ROTATION_HANDLE_RADIUS, class: 'rotation-handle' });
+}
+
+/**
+ * Check whether a viewer element position is on the rotation handle
+ */
+function isOnRotationHandle(position, selection) {
+    if (!selection) return false;
+    const handle = getViewerElementPoint(getRotationHandlePoint(selection.geometry));
+    return Math.hypot(position.x - handle.x, position.y - handle.y) <= ROTATION_HANDLE_RADIUS + 4;
+}
+
+/**
+ * Store the rotation chosen with the handle
+ */
+function applyShapeRotation(rotating) {
+    const { annotation, geometry, rotation } = rotating;
+    if (Math.abs(normalizeRotation(rotation - (geometry.rotation || 0))) < 1e-6) return;
+
+    const updated = replaceAnnotationGeometry(annotation, { ...geometry, rotation: rotation });
+    recordAnnotationHistory('Rotate annotation', [annotation], [updated]);
+    setAnnotationSelection([updated.id]);
+    console.log(`🔄 Rotated ${annotation.id} to ${Math.round(rotation * 180 / Math.PI)}°`);
+}
+
+/**
+ * Start the ellipse or rotatable rectangle tool
+ */
+function startShapeTool(toolName) {
+    stopShapeTool();
+    if (!viewer) return;
+
+    const layer = document.createElementNS(SVG_NAMESPACE, 'svg');
+    layer.setAttribute('class', 'path-drawing-layer');
+    viewer.element.appendChild(layer);
+
+    const tool = {
+        tool: toolName,
+        layer: layer,
+        draft: null,
+        rotating: null,
+        selectWasDisabled: anno ? anno.disableSelect : false
+    };
+
+    tool.onPress = event => {
+        const selection = getRotatableSelection();
+        if (isOnRotationHandle(event.position, selection)) {
+            tool.rotating = { ...selection, rotation: selection.geometry.rotation || 0 };
+        } else {
+            const point = getViewerImagePoint(event.position);
+            tool.draft = { start: point, end: point, startPosition: event.position };
+        }
+        renderShapeToolPreview();
+    };
+    tool.onDrag = event => {
+        // Draw instead of panning
+        event.preventDefaultAction = true;
+        const point = getViewerImagePoint(event.position);
+
+        if (tool.rotating) {
+            const [cx, cy] = getRotatableShapeCenter(tool.rotating.geometry);
+            let rotation = Math.atan2(point[1] - cy, point[0] - cx) + Math.PI / 2;
+            if (event.originalEvent && event.originalEvent.shiftKey) {
+                rotation = Math.round(rotation / ROTATION_SNAP_STEP) * ROTATION_SNAP_STEP;
+            }
+            tool.rotating.rotation = normalizeRotation(rotation);
+        } else if (tool.draft) {
+            tool.draft.end = point;
+        }
+        renderShapeToolPreview();
+    };
+    tool.onRelease = event => {
+        const { draft, rotating } = tool;
+        tool.draft = null;
+        tool.rotating = null;
+
+        if (rotating) {
+            applyShapeRotation(rotating);
+        } else if (draft) {
+            const start = draft.startPosition;
+            if (Math.abs(event.position.x - start.x) >= MIN_SHAPE_DRAG && Math.abs(event.position.y - start.y) >= MIN_SHAPE_DRAG) {
+                addDrawnAnnotation(createShapeFromBox(tool.tool, draft.start, getViewerImagePoint(event.position)), tool.tool);
+            }
+        }
+        renderShapeToolPreview();
+    };
+    tool.onClick = event => {
+        // No zoom on click while drawing
+        event.preventDefaultAction = true;
+    };
+    tool.onViewportChange = () => renderShapeToolPreview();
+    tool.onMouseMove = event => {
+        const rect = viewer.element.getBoundingClientRect();
+        const position = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        viewer.element.classList.toggle('rotation-handle-hover', isOnRotationHandle(position, getRotatableSelection()));
+        renderShapeToolPreview();
+    };
+
+    viewer.addHandler('canvas-press', tool.onPress);
+    viewer.addHandler('canvas-drag', tool.onDrag);
+    viewer.addHandler('canvas-release', tool.onRelease);
+    viewer.addHandler('canvas-click', tool.onClick);
+    viewer.addHandler('update-viewport', tool.onViewportChange);
+    viewer.element.addEventListener('mousemove', tool.onMouseMove);
+
+    // Presses must draw or rotate rather than select annotations
+    if (anno) {
+        anno.setDrawingEnabled(false);
+        anno.disableSelect = true;
+    }
+    viewer.element.classList.add('shape-tool-active');
+
+    activeShapeTool = tool;
+    renderShapeToolPreview();
+    console.log(`⬭ ${toolName === 'ellipse' ? 'Ellipse' : 'Rotatable rectangle'} tool active`);
+}
+
+/**
+ * Stop the shape tool and remove its handlers
+ */
+function stopShapeTool() {
+    const tool = activeShapeTool;
+    if (!tool) return;
+    activeShapeTool = null;
+
+    viewer.removeHandler('canvas-press', tool.onPress);
+    viewer.removeHandler('canvas-drag', tool.onDrag);
+    viewer.removeHandler('canvas-release', tool.onRelease);
+    viewer.removeHandler('canvas-click', tool.onClick);
+    viewer.removeHandler('update-viewport', tool.onViewportChange);
+    viewer.element.removeEventListener('mousemove', tool.onMouseMove);
+    tool.layer.remove();
+    viewer.element.classList.remove('shape-tool-active', 'rotation-handle-hover');
+
+    if (anno) {
+        anno.disableSelect = tool.selectWasDisabled;
+    }
+    console.log('⬭ Shape tool stopped');
+}
+
+/**
+ * Put back a rotation the Annotorious shape editor dropped
+ *
+ * The editor knows nothing about the rotate() transform, so moving or
+ * resizing a rotated ellipse writes it back unrotated.
+ */
+function keepShapeRotation(annotation, previous) {
+    const before = parseAnnotationGeometry(previous);
+    const after = parseAnnotationGeometry(annotation);
+    if (!before || !after || !before.rotation || after.type !== before.type || after.rotation) return;
+
+    annotation.target = { ...annotation.target, selector: createSelectorFromGeometry({ ...after, rotation: before.rotation }) };
+    try {
+        anno?.addAnnotation(annotation);
+    } catch (error) {
+        console.warn('Could not update annotation in viewer:', error);
+    }
+}
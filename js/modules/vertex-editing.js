@@ -0,0 +1,416 @@
+/**
+ * Vertex Editing Module
+ *
+ * Precise correction of polygons and lines (freehand, SAM, imported):
+ * - Click an annotation on the viewer (or in the list) to show its vertices
+ * - Drag a vertex to move it; it snaps to nearby vertices of other
+ *   annotations (hold Shift to move freely)
+ * - Drag the small handle in the middle of an edge to insert a vertex
+ * - Alt-click a vertex, or click it and press Delete, to remove it
+ * - Each change is one undo step
+ */
+
+const VERTEX_HANDLE_RADIUS = 4;
+const VERTEX_MIDPOINT_RADIUS = 3;
+
+// Snapping distance to vertices of other annotations (screen pixels)
+const VERTEX_SNAP_DISTANCE = 8;
+
+// Active editor ({ layer, dragging, activeVertex, ... })
+let activeVertexEditor = null;
+
+/**
+ * Get the rings and lines of a shape whose vertices can be edited
+ *
+ * Returns [{ points, closed }], where points are the arrays of the
+ * shape itself, so changing them changes the shape.
+ */
+function getEditablePaths(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'polygon':
+            return geometry.rings.map(ring => ({ points: ring, closed: true }));
+        case 'multipolygon':
+            return [].concat(...geometry.polygons.map(rings => rings.map(ring => ({ points: ring, closed: true }))));
+        case 'polyline':
+            return [{ points: geometry.points, closed: false }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Get the selected annotation whose vertices are shown
+ *
+ * Returns { annotation, geometry } for a single selected polygon or
+ * line, null otherwise.
+ */
+function getVertexEditTarget() {
+    const ids = getSelectedAnnotationIds();
+    if (ids.length !== 1) return null;
+
+    const annotation = findAnnotationInStore(ids[0]);
+    const geometry = annotation ? parseAnnotationGeometry(annotation) : null;
+    if (getEditablePaths(geometry).length === 0) return null;
+
+    return { annotation, geometry };
+}
+
+/**
+ * Find the topmost visible annotation at a point in WSI pixels
+ */
+function findAnnotationAtPoint(point, tolerance) {
+    const candidates = getUniqueAnnotations(Object.keys(annotations)).reverse();
+
+    return candidates.find(annotation => {
+        if (isAnnotationHidden(annotation)) return false;
+
+        const geometry = parseAnnotationGeometry(annotation);
+        if (!geometry) return false;
+
+        if (geometry.type === 'polyline') {
+            return geometry.points.slice(1).some((end, i) =>
+                getPointToSegmentDistance(point, geometry.points[i], end) <= tolerance
+            );
+        }
+        return isPointInRings(point, getGeometryRings(geometry));
+    }) || null;
+}
+
+/**
+ * Find the vertex handle at a viewer element position ({ path, index })
+ */
+function findVertexAtPosition(position, geometry) {
+    const paths = getEditablePaths(geometry);
+    const reach = VERTEX_HANDLE_RADIUS + 3;
+
+    for (let p = paths.length - 1; p >= 0; p--) {
+        for (let i = paths[p].points.length - 1; i >= 0; i--) {
+            const screen = getViewerElementPoint(paths[p].points[i]);
+            if (Math.hypot(position.x - screen.x, position.y - screen.y) <= reach) {
+                return { path: p, index: i };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * List the edge midpoints of a shape ({ path, index, point }, index is
+ * where a vertex inserted there goes)
+ */
+function getEdgeMidpoints(geometry) {
+    const midpoints = [];
+
+    getEditablePaths(geometry).forEach((path, p) => {
+        const count = path.closed ? path.points.length : path.points.length - 1;
+        for (let i = 0; i < count; i++) {
+            const a = path.points[i];
+            const b = path.points[(i + 1) % path.points.length];
+            midpoints.push({ path: p, index: i + 1, point: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], start: a, end: b });
+        }
+    });
+    return midpoints;
+}
+
+/**
+ * Check whether an edge is long enough on screen to show its midpoint handle
+ */
+function isEdgeLongOnScreen(midpoint) {
+    const a = getViewerElementPoint(midpoint.start);
+    const b = getViewerElementPoint(midpoint.end);
+    return Math.hypot(b.x - a.x, b.y - a.y) > (VERTEX_HANDLE_RADIUS + VERTEX_MIDPOINT_RADIUS) * 3;
+}
+
+/**
+ * Find the edge midpoint handle at a viewer element position
+ */
+function findMidpointAtPosition(position, geometry) {
+    const reach = VERTEX_MIDPOINT_RADIUS + 3;
+    return getEdgeMidpoints(geometry).find(midpoint => {
+        const screen = getViewerElementPoint(midpoint.point);
+        return Math.hypot(position.x - screen.x, position.y - screen.y) <= reach && isEdgeLongOnScreen(midpoint);
+    }) || null;
+}
+
+/**
+ * Collect the vertices of the other visible annotations to snap to
+ */
+function collectSnapVertices(excludeId) {
+    const vertices = [];
+
+    getUniqueAnnotations(Object.keys(annotations)).forEach(annotation => {
+        if (annotation.id === excludeId || isAnnotationHidden(annotation)) return;
+
+        const geometry = parseAnnotationGeometry(annotation);
+        if (!geometry) return;
+
+        if (geometry.type === 'point') {
+            vertices.push([geometry.x, geometry.y]);
+        } else if (geometry.type === 'polyline') {
+            vertices.push(...geometry.points);
+        } else {
+            convertGeometryToPolygons(geometry).forEach(rings => rings.forEach(ring => vertices.push(...ring)));
+        }
+    });
+    return vertices;
+}
+
+/**
+ * Find the snap vertex closest to a point (null if none is near enough)
+ */
+function findSnapVertex(point, vertices) {
+    const imageZoom = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+    let best = null;
+    let bestDistance = VERTEX_SNAP_DISTANCE / imageZoom;
+
+    vertices.forEach(vertex => {
+        const distance = Math.hypot(vertex[0] - point[0], vertex[1] - point[1]);
+        if (distance <= bestDistance) {
+            best = vertex;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Store an edited shape and keep it selected
+ */
+function commitVertexEdit(label, annotation, geometry) {
+    const updated = replaceAnnotationGeometry(annotation, geometry);
+    recordAnnotationHistory(label, [annotation], [updated]);
+    setAnnotationSelection([updated.id]);
+    console.log(`📍 ${label}: ${updated.id}`);
+}
+
+/**
+ * Remove a vertex from the selected shape
+ */
+function deleteEditedVertex(target, vertex) {
+    const geometry = JSON.parse(JSON.stringify(target.geometry));
+    const path = getEditablePaths(geometry)[vertex.path];
+    const minimum = path.closed ? 3 : 2;
+
+    if (path.points.length <= minimum) {
+        alert(path.closed
+            ? 'A polygon needs at least 3 vertices.'
+            : 'A line needs at least 2 vertices.');
+        return;
+    }
+
+    path.points.splice(vertex.index, 1);
+    activeVertexEditor.activeVertex = null;
+    commitVertexEdit('Delete vertex', target.annotation, geometry);
+}
+
+/**
+ * Add an SVG element to the editor layer
+ */
+function appendVertexEditorElement(name, attributes) {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+    activeVertexEditor.layer.appendChild(element);
+    return element;
+}
+
+/**
+ * Draw the vertices, edge midpoints and snap target of the edited shape
+ */
+function renderVertexEditor() {
+    if (!activeVertexEditor) return;
+
+    const editor = activeVertexEditor;
+    editor.layer.innerHTML = '';
+
+    const target = editor.dragging || getVertexEditTarget();
+    if (!target) return;
+
+    const paths = getEditablePaths(target.geometry);
+    paths.forEach(path => {
+        const points = path.points.map(getViewerElementPoint).map(p => `${p.x},${p.y}`).join(' ');
+        appendVertexEditorElement(path.closed ? 'polygon' : 'polyline', { points: points, class: 'vertex-edit-outline' });
+    });
+
+    if (!editor.dragging) {
+        getEdgeMidpoints(target.geometry).filter(isEdgeLongOnScreen).forEach(midpoint => {
+            const screen = getViewerElementPoint(midpoint.point);
+            appendVertexEditorElement('circle', { cx: screen.x, cy: screen.y, r: VERTEX_MIDPOINT_RADIUS, class: 'vertex-midpoint' });
+        });
+    }
+
+    const active = editor.dragging ? editor.dragging.vertex : editor.activeVertex;
+    paths.forEach((path, p) => {
+        path.points.forEach((point, i) => {
+            const screen = getViewerElementPoint(point);
+            const isActive = active && active.path === p && active.index === i;
+            appendVertexEditorElement('circle', {
+                cx: screen.x,
+                cy: screen.y,
+                r: VERTEX_HANDLE_RADIUS,
+                class: isActive ? 'vertex-handle active' : 'vertex-handle'
+            });
+        });
+    });
+
+    if (editor.dragging && editor.dragging.snap) {
+        const screen = getViewerElementPoint(editor.dragging.snap);
+        appendVertexEditorElement('circle', { cx: screen.x, cy: screen.y, r: VERTEX_SNAP_DISTANCE, class: 'vertex-snap' });
+    }
+}
+
+/**
+ * Start editing vertices
+ */
+function startVertexEditing() {
+    stopVertexEditing();
+    if (!viewer) return;
+
+    const layer = document.createElementNS(SVG_NAMESPACE, 'svg');
+    layer.setAttribute('class', 'path-drawing-layer');
+    viewer.element.appendChild(layer);
+
+    const editor = {
+        layer: layer,
+        dragging: null,
+        activeVertex: null,
+        pressedHandle: false,
+        selectWasDisabled: anno ? anno.disableSelect : false
+    };
+
+    editor.onPress = event => {
+        editor.pressedHandle = false;
+        const target = getVertexEditTarget();
+        if (!target) return;
+
+        const vertex = findVertexAtPosition(event.position, target.geometry);
+        if (vertex) {
+            editor.pressedHandle = true;
+            if (event.originalEvent && event.originalEvent.altKey) {
+                deleteEditedVertex(target, vertex);
+                return;
+            }
+            editor.activeVertex = vertex;
+            editor.dragging = {
+                annotation: target.annotation,
+                geometry: JSON.parse(JSON.stringify(target.geometry)),
+                vertex: vertex,
+                label: 'Move vertex',
+                moved: false
+            };
+        } else {
+            const midpoint = findMidpointAtPosition(event.position, target.geometry);
+            if (!midpoint) return;
+
+            editor.pressedHandle = true;
+            const geometry = JSON.parse(JSON.stringify(target.geometry));
+            getEditablePaths(geometry)[midpoint.path].points.splice(midpoint.index, 0, midpoint.point);
+            editor.activeVertex = { path: midpoint.path, index: midpoint.index };
+            editor.dragging = {
+                annotation: target.annotation,
+                geometry: geometry,
+                vertex: editor.activeVertex,
+                label: 'Insert vertex',
+                moved: true
+            };
+        }
+
+        editor.dragging.snapVertices = collectSnapVertices(target.annotation.id);
+        renderVertexEditor();
+    };
+    editor.onDrag = event => {
+        const dragging = editor.dragging;
+        if (!dragging) return;
+
+        // Move the vertex instead of panning
+        event.preventDefaultAction = true;
+        const point = getViewerImagePoint(event.position);
+        const free = event.originalEvent && event.originalEvent.shiftKey;
+        const snap = free ? null : findSnapVertex(point, dragging.snapVertices);
+
+        getEditablePaths(dragging.geometry)[dragging.vertex.path].points[dragging.vertex.index] = snap ? snap.slice() : point;
+        dragging.snap = snap;
+        dragging.moved = true;
+        renderVertexEditor();
+    };
+    editor.onRelease = () => {
+        const dragging = editor.dragging;
+        editor.dragging = null;
+
+        if (dragging && dragging.moved) {
+            commitVertexEdit(dragging.label, dragging.annotation, dragging.geometry);
+        }
+        renderVertexEditor();
+    };
+    editor.onClick = event => {
+        // No zoom on click while editing
+        event.preventDefaultAction = true;
+        if (!event.quick || editor.pressedHandle) return;
+
+        const imageZoom = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+        const hit = findAnnotationAtPoint(getViewerImagePoint(event.position), VERTEX_SNAP_DISTANCE / imageZoom);
+        editor.activeVertex = null;
+        setAnnotationSelection(hit ? [hit.id] : []);
+        renderVertexEditor();
+    };
+    editor.onViewportChange = () => renderVertexEditor();
+    editor.onKeyDown = event => {
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+        const target = getVertexEditTarget();
+        if ((event.key === 'Delete' || event.key === 'Backspace') && target && editor.activeVertex) {
+            deleteEditedVertex(target, editor.activeVertex);
+        } else if (event.key === 'Escape' && editor.activeVertex) {
+            editor.activeVertex = null;
+            renderVertexEditor();
+        } else {
+            return;
+        }
+        // Keep the annotation shortcuts from acting on the key
+        event.preventDefault();
+        event.stopPropagation();
+    };
+
+    viewer.addHandler('canvas-press', editor.onPress);
+    viewer.addHandler('canvas-drag', editor.onDrag);
+    viewer.addHandler('canvas-release', editor.onRelease);
+    viewer.addHandler('canvas-click', editor.onClick);
+    viewer.addHandler('update-viewport', editor.onViewportChange);
+    document.addEventListener('keydown', editor.onKeyDown, true);
+
+    // Clicks must pick vertices and annotations rather than open the editor
+    if (anno) {
+        anno.setDrawingEnabled(false);
+        anno.disableSelect = true;
+        anno.cancelSelected();
+    }
+    viewer.element.classList.add('vertex-edit-active');
+
+    activeVertexEditor = editor;
+    renderVertexEditor();
+    console.log('📍 Vertex editing active');
+}
+
+/**
+ * Stop editing vertices and remove the editor handlers
+ */
+function stopVertexEditing() {
+    const editor = activeVertexEditor;
+    if (!editor) return;
+    activeVertexEditor = null;
+
+    viewer.removeHandler('canvas-press', editor.onPress);
+    viewer.removeHandler('canvas-drag', editor.onDrag);
+    viewer.removeHandler('canvas-release', editor.onRelease);
+    viewer.removeHandler('canvas-click', editor.onClick);
+    viewer.removeHandler('update-viewport', editor.onViewportChange);
+    document.removeEventListener('keydown', editor.onKeyDown, true);
+    editor.layer.remove();
+    viewer.element.classList.remove('vertex-edit-active');
+
+    if (anno) {
+        anno.disableSelect = editor.selectWasDisabled;
+    }
+    console.log('📍 Vertex editing stopped');
+}
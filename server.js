@@ -1,15 +1,20 @@
 const express = require('express');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const path = require('path');
+const fs = require('fs/promises');
 
 const app = express();
 const PORT = 3000;
 
+// Shared annotation store (one JSON file per slide)
+const ANNOTATION_DATA_DIR = process.env.ANNOTATION_DATA_DIR || path.join(__dirname, 'data', 'annotations');
+
 // Enable CORS for all routes
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, If-Match, If-None-Match');
+    res.header('Access-Control-Expose-Headers', 'ETag');
     
     if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -18,6 +23,21 @@ app.use((req, res, next) => {
     }
 });
 
+// The annotation files are only reachable through the API, not as static files
+app.use((req, res, next) => {
+    let filePath;
+    try {
+        filePath = path.resolve('.', '.' + decodeURIComponent(req.path));
+    } catch (error) {
+        return next();
+    }
+    const dataDir = path.resolve(ANNOTATION_DATA_DIR);
+    if (filePath === dataDir || filePath.startsWith(dataDir + path.sep)) {
+        return res.sendStatus(404);
+    }
+    next();
+});
+
 // Serve static files (your HTML, CSS, JS)
 app.use(express.static('.'));
 
@@ -47,6 +67,304 @@ const samProxy = createProxyMiddleware({
 // Route all /api/sam/* requests through the proxy
 app.use('/api/sam', samProxy);
 
+// ---------------------------------------------------------------------------
+// Annotation REST API
+//
+// GET    /api/annotations                          list slides with annotations
+// GET    /api/annotations/:slideId                 all annotations of a slide
+// PUT    /api/annotations/:slideId                 bulk replace (If-Match: slide ETag)
+// POST   /api/annotations/:slideId                 create an annotation
+// DELETE /api/annotations/:slideId/folders/:tag    delete a tag folder
+// GET    /api/annotations/:slideId/:annotationId   single annotation
+// PUT    /api/annotations/:slideId/:annotationId   update (If-Match: annotation ETag)
+// DELETE /api/annotations/:slideId/:annotationId   delete (If-Match: annotation ETag)
+//
+// Annotation ETags are per-annotation revisions, so team members editing
+// different annotations of a slide do not conflict.
+// ---------------------------------------------------------------------------
+
+const SLIDE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Writes to a slide file are serialized per slide
+const slideWriteQueues = new Map();
+
+function getSlideFilePath(slideId) {
+    return path.join(ANNOTATION_DATA_DIR, `${slideId}.json`);
+}
+
+async function readSlideDocument(slideId) {
+    try {
+        return JSON.parse(await fs.readFile(getSlideFilePath(slideId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { slideId: slideId, version: 0, entries: [] };
+        }
+        throw error;
+    }
+}
+
+async function writeSlideDocument(doc) {
+    await fs.mkdir(ANNOTATION_DATA_DIR, { recursive: true });
+    const filePath = getSlideFilePath(doc.slideId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(doc));
+    await fs.rename(tempPath, filePath);
+}
+
+// Read-modify-write a slide document; the mutator returns the response to send
+function updateSlideDocument(slideId, mutate) {
+    const previous = slideWriteQueues.get(slideId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const doc = await readSlideDocument(slideId);
+        const result = mutate(doc);
+        if (result.changed) {
+            doc.version += 1;
+            doc.updatedAt = new Date().toISOString();
+            await writeSlideDocument(doc);
+        }
+        return result;
+    });
+    slideWriteQueues.set(slideId, next);
+    next.finally(() => {
+        if (slideWriteQueues.get(slideId) === next) slideWriteQueues.delete(slideId);
+    }).catch(() => {});
+    return next;
+}
+
+function slideETag(doc) {
+    return `"slide-${doc.version}"`;
+}
+
+function entryETag(entry) {
+    return `"${entry.revision}"`;
+}
+
+function parseETag(header) {
+    return header ? header.replace(/^W\//, '').trim() : null;
+}
+
+// Entries are looked up, versioned and deleted by their string ID
+function hasAnnotationId(annotation) {
+    return Boolean(annotation) && typeof annotation.id === 'string' && annotation.id.length > 0;
+}
+
+function createEntry(annotation, tags, revision) {
+    return {
+        id: annotation.id,
+        tags: Array.isArray(tags) ? tags.map(String) : [],
+        revision: revision,
+        updatedAt: new Date().toISOString(),
+        annotation: annotation
+    };
+}
+
+function sendSlideDocument(res, doc) {
+    res.set('ETag', slideETag(doc));
+    res.json({
+        slideId: doc.slideId,
+        version: doc.version,
+        updatedAt: doc.updatedAt || null,
+        annotations: doc.entries
+    });
+}
+
+function sendEntry(res, status, entry) {
+    res.status(status).set('ETag', entryETag(entry)).json(entry);
+}
+
+const annotationRouter = express.Router();
+annotationRouter.use(express.json({ limit: '50mb' }));
+
+// Validate the slide ID of every slide route
+annotationRouter.param('slideId', (req, res, next, slideId) => {
+    if (!SLIDE_ID_PATTERN.test(slideId)) {
+        return res.status(400).json({ error: 'Invalid slide ID' });
+    }
+    next();
+});
+
+annotationRouter.get('/', async (req, res, next) => {
+    try {
+        let files = [];
+        try {
+            files = (await fs.readdir(ANNOTATION_DATA_DIR)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const slides = await Promise.all(files.map(async file => {
+            const doc = await readSlideDocument(path.basename(file, '.json'));
+            return { slideId: doc.slideId, version: doc.version, updatedAt: doc.updatedAt || null, count: doc.entries.length };
+        }));
+        res.json({ slides: slides });
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.get('/:slideId', async (req, res, next) => {
+    try {
+        const doc = await readSlideDocument(req.params.slideId);
+        if (parseETag(req.get('If-None-Match')) === slideETag(doc)) {
+            return res.status(304).end();
+        }
+        sendSlideDocument(res, doc);
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.put('/:slideId', async (req, res, next) => {
+    const items = req.body && req.body.annotations;
+    if (!Array.isArray(items) || items.some(item => !item || !hasAnnotationId(item.annotation))) {
+        return res.status(400).json({ error: 'Expected { annotations: [{ annotation, tags }] }' });
+    }
+
+    try {
+        const ifMatch = parseETag(req.get('If-Match'));
+        const result = await updateSlideDocument(req.params.slideId, doc => {
+            if (ifMatch && ifMatch !== slideETag(doc)) {
+                return { status: 412, doc: doc };
+            }
+            const previous = new Map(doc.entries.map(entry => [entry.id, entry]));
+            doc.entries = items.map(item => {
+                const old = previous.get(item.annotation.id);
+                return createEntry(item.annotation, item.tags, old ? old.revision + 1 : 1);
+            });
+            return { status: 200, doc: doc, changed: true };
+        });
+
+        if (result.status === 412) {
+            return res.status(412).set('ETag', slideETag(result.doc)).json({ error: 'Slide annotations were modified by someone else' });
+        }
+        sendSlideDocument(res, result.doc);
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.post('/:slideId', async (req, res, next) => {
+    const annotation = req.body && req.body.annotation;
+    if (!hasAnnotationId(annotation)) {
+        return res.status(400).json({ error: 'Expected { annotation, tags } with a string annotation id' });
+    }
+
+    try {
+        const result = await updateSlideDocument(req.params.slideId, doc => {
+            const existing = doc.entries.find(entry => entry.id === annotation.id);
+            if (existing) {
+                return { status: 409, entry: existing };
+            }
+            const entry = createEntry(annotation, req.body.tags, 1);
+            doc.entries.push(entry);
+            return { status: 201, entry: entry, changed: true };
+        });
+        sendEntry(res, result.status, result.entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.delete('/:slideId/folders/:tag', async (req, res, next) => {
+    try {
+        const tag = req.params.tag;
+        const result = await updateSlideDocument(req.params.slideId, doc => {
+            const deleted = doc.entries.filter(entry => entry.tags.includes(tag)).map(entry => entry.id);
+            doc.entries = doc.entries.filter(entry => !entry.tags.includes(tag));
+            return { deleted: deleted, doc: doc, changed: deleted.length > 0 };
+        });
+        res.set('ETag', slideETag(result.doc)).json({ deleted: result.deleted });
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.get('/:slideId/:annotationId', async (req, res, next) => {
+    try {
+        const doc = await readSlideDocument(req.params.slideId);
+        const entry = doc.entries.find(e => e.id === req.params.annotationId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Annotation not found' });
+        }
+        sendEntry(res, 200, entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.put('/:slideId/:annotationId', async (req, res, next) => {
+    const annotation = req.body && req.body.annotation;
+    if (!annotation || annotation.id !== req.params.annotationId) {
+        return res.status(400).json({ error: 'Expected { annotation, tags } matching the annotation id' });
+    }
+
+    try {
+        const ifMatch = parseETag(req.get('If-Match'));
+        const result = await updateSlideDocument(req.params.slideId, doc => {
+            const index = doc.entries.findIndex(entry => entry.id === annotation.id);
+            if (index === -1) {
+                return { status: 404 };
+            }
+            const existing = doc.entries[index];
+            if (ifMatch && ifMatch !== entryETag(existing)) {
+                return { status: 412, entry: existing };
+            }
+            const entry = createEntry(annotation, req.body.tags, existing.revision + 1);
+            doc.entries[index] = entry;
+            return { status: 200, entry: entry, changed: true };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({ error: 'Annotation not found' });
+        }
+        sendEntry(res, result.status, result.entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.delete('/:slideId/:annotationId', async (req, res, next) => {
+    try {
+        const ifMatch = parseETag(req.get('If-Match'));
+        const result = await updateSlideDocument(req.params.slideId, doc => {
+            const index = doc.entries.findIndex(entry => entry.id === req.params.annotationId);
+            if (index === -1) {
+                return { status: 404 };
+            }
+            const existing = doc.entries[index];
+            if (ifMatch && ifMatch !== entryETag(existing)) {
+                return { status: 412, entry: existing };
+            }
+            doc.entries.splice(index, 1);
+            return { status: 204, changed: true };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({ error: 'Annotation not found' });
+        }
+        if (result.status === 412) {
+            return sendEntry(res, 412, result.entry);
+        }
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+annotationRouter.use((error, req, res, next) => {
+    // Request errors (malformed JSON, body too large) keep their 4xx status
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        console.error('Annotation API error:', error);
+    }
+    res.status(status).json({
+        error: status >= 500 ? 'Annotation storage error' : 'Invalid request',
+        details: error.message
+    });
+});
+
+app.use('/api/annotations', annotationRouter);
+
 // Default route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -55,6 +373,7 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`\n🚀 Development server running at: http://localhost:${PORT}`);
     console.log(`📡 SAM API proxied through: http://localhost:${PORT}/api/sam`);
+    console.log(`🗂️ Annotation API at: http://localhost:${PORT}/api/annotations`);
     console.log(`🎯 Original SAM server: http://gnanesh.sci.utah.edu:8000`);
     console.log(`\n✅ Open http://localhost:${PORT} in your browser\n`);
 });
\ No newline at end of file